@@ -7,6 +7,141 @@ db.version(3).stores({
   settings: 'id, value',
   backups: '++id, date, data'
 });
+db.version(4).stores({
+  children: '++id, regNo, name, dob, sex, address, contact, isDefaulter, createdAt',
+  vaccinations: '++id, childId, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data'
+}).upgrade(tx => {
+  // Records stored the schedule display string; they now store the schedule id
+  return tx.table('vaccinations').toCollection().modify(vaccination => {
+    vaccination.vaccine = legacyVaccineId(vaccination.vaccine);
+  });
+});
+db.version(5).stores({
+  children: '++id, uid, regNo, name, dob, sex, address, contact, isDefaulter, createdAt',
+  vaccinations: '++id, uid, childId, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid'
+});
+db.version(6).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid'
+}).upgrade(async tx => {
+  // Give every existing record a global identity. The auto-increment id stays
+  // as the local key; uid identifies the record across devices and backups.
+  let device = await tx.table('settings').get('deviceId');
+  if (!device) {
+    device = { id: 'deviceId', value: generateUid() };
+    await tx.table('settings').put(device);
+  }
+
+  const childUids = {};
+  await tx.table('children').toCollection().modify(child => {
+    assignRecordIdentity(child, device.value);
+    childUids[child.id] = child.uid;
+  });
+  await tx.table('vaccinations').toCollection().modify(vaccination => {
+    assignRecordIdentity(vaccination, device.value);
+    vaccination.childUid = vaccination.childUid || childUids[vaccination.childId];
+  });
+});
+db.version(7).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp'
+});
+db.version(8).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp',
+  operators: '++id, &name, role, active'
+});
+db.version(9).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp',
+  operators: '++id, &name, role, active',
+  lots: '++id, &uid, antigen, batchNumber, expiryDate',
+  stockLedger: '++id, lotUid, type, date, vaccinationUid'
+});
+db.version(10).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp',
+  operators: '++id, &name, role, active',
+  lots: '++id, &uid, antigen, batchNumber, expiryDate',
+  stockLedger: '++id, lotUid, type, date, vaccinationUid',
+  sessions: '++id, &uid, &date, status'
+});
+db.version(11).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, householdUid, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp',
+  operators: '++id, &name, role, active',
+  lots: '++id, &uid, antigen, batchNumber, expiryDate',
+  stockLedger: '++id, lotUid, type, date, vaccinationUid',
+  sessions: '++id, &uid, &date, status',
+  households: '++id, &uid, motherName, community, updatedAt'
+});
+db.version(12).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, householdUid, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp',
+  operators: '++id, &name, role, active',
+  lots: '++id, &uid, antigen, batchNumber, expiryDate',
+  stockLedger: '++id, lotUid, type, date, vaccinationUid',
+  sessions: '++id, &uid, &date, status',
+  households: '++id, &uid, motherName, community, updatedAt',
+  reminders: '++id, &uid, &key, childUid, type, status, createdAt'
+});
+db.version(13).stores({
+  children: '++id, &uid, regNo, name, dob, sex, address, contact, householdUid, isDefaulter, createdAt, updatedAt',
+  vaccinations: '++id, &uid, childId, childUid, vaccine, dateGiven, batchNumber, placeGiven, remarks, nextVisit, status, updatedAt',
+  facility: 'id, name, updatedAt',
+  settings: 'id, value',
+  backups: '++id, date, data',
+  outbox: '++seq, table, uid',
+  auditLog: '++id, table, recordUid, childUid, action, timestamp',
+  operators: '++id, &name, role, active',
+  lots: '++id, &uid, antigen, batchNumber, expiryDate',
+  stockLedger: '++id, lotUid, type, date, vaccinationUid',
+  sessions: '++id, &uid, &date, status',
+  households: '++id, &uid, motherName, community, updatedAt',
+  reminders: '++id, &uid, &key, childUid, type, status, createdAt',
+  tracing: '++id, &uid, childUid, date, outcome, updatedAt'
+});
 
 // Global variables
 let children = [];
@@ -14,6 +149,41 @@ let facilityName = '';
 let unsavedVaccinations = {};
 let selectedChildIndex = null;
 let editChildIndex = null;
+let pendingImport = null;
+let pendingEncryptedBackup = null;
+let passphraseMode = null;
+let currentOperator = null;
+let autoLockMinutes = 5;
+let lastActivityAt = Date.now();
+let loginFailures = 0;
+let loginBlockedUntil = 0;
+let vaccineLots = [];
+let stockOnHand = {};
+let selectedSessionId = null;
+let registerSort = null;
+let filterPresets = [];
+let childViews = new WeakMap();
+let scheduleByDose = { source: null, rules: [] };
+let pendingRegistration = null;
+let mergePair = null;
+let households = new Map();
+let editHousehold = null;
+let reminderConfig = {};
+let reminderTemplates = {};
+let reminderList = [];
+let tracingLog = new Map();
+let tracingChildIndex = null;
+let cardSigningKey = null;
+let trustedCardKeys = [];
+let pendingTransfer = null;
+let childViewsDate = '';
+let tablePages = {};
+let printAllPages = false;
+let deviceId = null;
+let syncConfig = {};
+let syncState = { cursor: 0, lastSyncAt: null };
+let syncInProgress = false;
+let syncTimer = null;
 
 // Service Worker Registration
 if ('serviceWorker' in navigator) {
@@ -33,6 +203,9 @@ async function initApp() {
   showLoading(true);
   
   try {
+    // Load the facility's vaccination schedule
+    await loadVaccinationSchedule();
+
     // Load facility name
     const facility = await db.facility.get(1);
     if (facility) {
@@ -41,18 +214,37 @@ async function initApp() {
     }
     
     // Load children data
-    children = await db.children.orderBy('createdAt').reverse().toArray();
+    await loadChildren();
     
-    // Load vaccinations for each child
-    for (let child of children) {
-      child.vaccinations = await db.vaccinations.where('childId').equals(child.id).toArray();
-    }
+    // Load vaccine lots and their stock
+    await loadInventory();
+    
+    // Load sync settings
+    await loadSyncSettings();
+    
+    // Load saved register filters
+    await loadFilterPresets();
+    
+    // Load reminder templates and the SMS gateway settings
+    await loadReminderSettings();
+    
+    // Load the card keys of other clinics this device trusts
+    await loadTrustedCardKeys();
+    
+    // Ask for a PIN before showing the register
+    await loadAutoLockSetting();
+    if (!currentOperator) await showLockScreen();
     
     // Update UI
-    updateStats();
-    updateChildTable();
-    updateAllTables();
+    refreshChildViews();
+    updateSyncStatus();
     showNotification('App loaded successfully!', 'success');
+    
+    // Keep a restore point for each day the app is used
+    await createDailySnapshot();
+    
+    // Reminders that fell due while the app was closed (only once someone has signed in)
+    sendScheduledReminders();
   } catch (error) {
     console.error('Error initializing app:', error);
     showNotification('Error loading data. Please refresh the page.', 'error');
@@ -61,6 +253,28 @@ async function initApp() {
   }
 }
 
+// Load children and their vaccinations into memory
+async function loadChildren() {
+  children = await db.children.orderBy('createdAt').reverse().toArray();
+  
+  // Load all vaccinations in one query and hand them out by child
+  const vaccinationsByChild = new Map(children.map(child => [child.id, []]));
+  (await db.vaccinations.toArray()).forEach(vaccination => {
+    const list = vaccinationsByChild.get(vaccination.childId);
+    if (list) list.push(vaccination);
+  });
+  children.forEach(child => { child.vaccinations = vaccinationsByChild.get(child.id); });
+
+  households = new Map((await db.households.toArray()).map(household => [household.uid, household]));
+
+  // Tracing attempts by child, oldest first
+  tracingLog = new Map();
+  (await db.tracing.orderBy('date').toArray()).forEach(attempt => {
+    if (!tracingLog.has(attempt.childUid)) tracingLog.set(attempt.childUid, []);
+    tracingLog.get(attempt.childUid).push(attempt);
+  });
+}
+
 // Show/hide loading indicator
 function showLoading(show) {
   document.getElementById('loadingIndicator').style.display = show ? 'block' : 'none';
@@ -92,6 +306,10 @@ function showNotification(message, type = 'info') {
 window.addEventListener('online', updateOnlineStatus);
 window.addEventListener('offline', updateOnlineStatus);
 
+// Tablets are often left open overnight; check for the daily restore point every hour
+setInterval(createDailySnapshot, 60 * 60 * 1000);
+setInterval(sendScheduledReminders, 60 * 60 * 1000);
+
 function updateOnlineStatus() {
   const offlineIndicator = document.getElementById('offlineIndicator');
   if (!navigator.onLine) {
@@ -100,6 +318,7 @@ function updateOnlineStatus() {
   } else {
     offlineIndicator.style.display = 'none';
     showNotification('Connection restored.', 'success');
+    syncNow();
   }
 }
 
@@ -109,6 +328,7 @@ updateOnlineStatus();
 // Save Facility Name
 document.getElementById('facilityForm').addEventListener('submit', async function (e) {
   e.preventDefault();
+  if (!requirePermission('manageSettings')) return;
   facilityName = document.getElementById('facilityName').value;
   
   try {
@@ -124,622 +344,5396 @@ document.getElementById('facilityForm').addEventListener('submit', async functio
   }
 });
 
-// Vaccination Schedule
-const vaccinationSchedule = [
-  "BCG at Birth",
-  "OPV0 at Birth",
-  "Hepatitis B at Birth",
-  "OPV1 at 6 weeks",
-  "Penta1 at 6 weeks",
-  "PCV1 at 6 weeks",
-  "Rotavirus1 at 6 weeks",
-  "OPV2 at 10 weeks",
-  "Penta2 at 10 weeks",
-  "PCV2 at 10 weeks",
-  "Rotavirus2 at 10 weeks",
-  "OPV3 at 14 weeks",
-  "Penta3 at 14 weeks",
-  "PCV3 at 14 weeks",
-  "Rotavirus3 at 14 weeks",
-  "IPV1 at 14 weeks",
-  "Malaria1 at 6 months",
-  "Malaria2 at 7 months",
-  "IPV2 at 7 months",
-  "Malaria3 at 9 months",
-  "Measles Rubella1 at 9 months",
-  "Malaria4 at 18 months",
-  "Measles Rubella2 at 18 months",
-  "Men A at 18 months",
-  "Vitamin A at 6 months",
-  "Vitamin A at 12 months",
-  "Vitamin A at 18 months",
-  "Vitamin A at 24 months",
-  "Vitamin A at 30 months",
-  "Vitamin A at 36 months",
-  "Vitamin A at 42 months",
-  "Vitamin A at 48 months",
-  "Vitamin A at 54 months",
-  "Vitamin A at 60 months"
-];
+// Operators and roles. Each person using the tablet signs in with their own
+// PIN; their role decides what they may change.
+const operatorRoles = {
+  nurse: {
+    label: 'Nurse',
+    permissions: ['recordDoses', 'manageStock']
+  },
+  clerk: {
+    label: 'Data Clerk',
+    permissions: ['registerChildren', 'editChildren']
+  },
+  incharge: {
+    label: 'Facility In-Charge',
+    permissions: ['recordDoses', 'manageStock', 'registerChildren', 'editChildren', 'deleteChildren', 'restoreData', 'clearData', 'editSchedule', 'manageSettings', 'manageOperators']
+  }
+};
+const PIN_HASH_ITERATIONS = 100000;
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_BLOCK_SECONDS = 30;
 
-// Generate unique registration number
-function generateRegNo() {
-  const year = new Date().getFullYear();
-  let count = children.filter(child => {
-    const childYear = new Date(child.createdAt || new Date()).getFullYear();
-    return childYear === year;
-  }).length + 1;
-  
-  let regNo = `${String(count).padStart(3, '0')}/${year}`;
+// Whether the signed-in operator's role allows something
+function hasPermission(permission) {
+  return Boolean(currentOperator && operatorRoles[currentOperator.role] &&
+    operatorRoles[currentOperator.role].permissions.includes(permission));
+}
+
+// Check a permission before an action, telling the operator if it is not allowed
+function requirePermission(permission) {
+  if (hasPermission(permission)) return true;
+  const role = currentOperator && operatorRoles[currentOperator.role];
+  showNotification(`${role ? role.label : 'Your role'} accounts cannot do this. Please ask the facility in-charge.`, 'error');
+  return false;
+}
+
+// Name of the signed-in operator, recorded on records and in the audit log
+function currentOperatorName() {
+  return currentOperator ? currentOperator.name : '';
+}
 
-  // Ensure the registration number is unique
-  while (children.some(child => child.regNo === regNo)) {
-    count++;
-    regNo = `${String(count).padStart(3, '0')}/${year}`;
+// Record who created or last changed a record. Records that already say who
+// created them (from a backup or another device) keep it.
+function recordOperator(record, isNew = false) {
+  if (isNew) {
+    record.createdBy = record.createdBy || currentOperatorName();
+    record.updatedBy = record.updatedBy || currentOperatorName();
+  } else {
+    record.updatedBy = currentOperatorName();
   }
+  return record;
+}
 
-  return regNo;
+// Hash a PIN with PBKDF2. The salt is a Uint8Array; the hash is base64.
+async function hashPin(pin, salt, iterations = PIN_HASH_ITERATIONS) {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(pin), 'PBKDF2', false, ['deriveBits']);
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256);
+  return bytesToBase64(new Uint8Array(bits));
 }
 
-// Register child
-document.getElementById('registrationForm').addEventListener('submit', async function (e) {
-  e.preventDefault();
+// A problem with a new PIN, or null if it can be used
+function validatePin(pin, confirmation) {
+  if (!/^\d{4,8}$/.test(pin)) return 'The PIN must be 4 to 8 digits.';
+  if (pin !== confirmation) return 'The PINs do not match.';
+  return null;
+}
 
-  const childName = document.getElementById('childName').value.trim();
-  const dob = document.getElementById('dob').value;
-  const today = new Date();
+// Store a hash of the PIN on the operator, never the PIN itself
+async function setOperatorPin(operator, pin) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  operator.pinSalt = bytesToBase64(salt);
+  operator.pinIterations = PIN_HASH_ITERATIONS;
+  operator.pinHash = await hashPin(pin, salt);
+  return operator;
+}
 
-  // Check if child already exists
-  if (children.some(child => child.name.toLowerCase() === childName.toLowerCase())) {
-    showNotification('Child already registered.', 'error');
+// Check a PIN against an operator's stored hash
+async function verifyPin(operator, pin) {
+  const hash = await hashPin(pin, base64ToBytes(operator.pinSalt), operator.pinIterations);
+  return hash === operator.pinHash;
+}
+
+// Show or hide controls marked with data-permission for the signed-in role
+function applyPermissions() {
+  document.querySelectorAll('[data-permission]').forEach(element => {
+    element.style.display = hasPermission(element.dataset.permission) ? '' : 'none';
+  });
+  const role = currentOperator && operatorRoles[currentOperator.role];
+  document.getElementById('currentOperator').textContent = currentOperator
+    ? `Signed in as ${currentOperator.name} (${role.label})`
+    : '';
+}
+
+// Show the lock screen: sign-in, or creating the first account on a new device
+async function showLockScreen(message = '') {
+  if (!crypto.subtle) {
+    document.getElementById('lockMessage').textContent = 'Signing in needs a secure (https) connection to the app.';
+    document.getElementById('loginForm').style.display = 'none';
+    document.getElementById('setupForm').style.display = 'none';
+    document.getElementById('lockScreen').style.display = 'flex';
     return;
   }
 
-  if (new Date(dob) > today) {
-    showNotification('Date of Birth cannot be in the future.', 'error');
+  const operators = (await db.operators.toArray()).filter(operator => operator.active);
+  const setup = operators.length === 0;
+
+  document.getElementById('lockMessage').textContent = setup
+    ? 'Create the facility in-charge account to start. The in-charge can then add accounts for nurses and data clerks.'
+    : message;
+  document.getElementById('loginForm').style.display = setup ? 'none' : 'block';
+  document.getElementById('setupForm').style.display = setup ? 'block' : 'none';
+
+  const select = document.getElementById('loginOperator');
+  select.innerHTML = operators
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map(operator => `<option value="${operator.id}">${operator.name} (${operatorRoles[operator.role].label})</option>`)
+    .join('');
+  document.getElementById('loginPin').value = '';
+  document.getElementById('lockScreen').style.display = 'flex';
+}
+
+// Sign in with the selected operator's PIN
+async function unlockApp() {
+  if (Date.now() < loginBlockedUntil) {
+    showNotification(`Too many wrong PINs. Try again in ${Math.ceil((loginBlockedUntil - Date.now()) / 1000)} seconds.`, 'error');
     return;
   }
 
+  const pinInput = document.getElementById('loginPin');
   try {
-    const childId = await db.children.add({
-      regNo: generateRegNo(),
-      name: childName,
-      dob: dob,
-      sex: document.getElementById('sex').value,
-      address: document.getElementById('address').value,
-      contact: document.getElementById('contact').value,
-      isDefaulter: false,
-      createdAt: new Date()
-    });
+    const operator = await db.operators.get(Number(document.getElementById('loginOperator').value));
+    if (!operator || !operator.active || !(await verifyPin(operator, pinInput.value))) {
+      pinInput.value = '';
+      loginFailures++;
+      if (loginFailures >= MAX_LOGIN_FAILURES) {
+        loginFailures = 0;
+        loginBlockedUntil = Date.now() + LOGIN_BLOCK_SECONDS * 1000;
+      }
+      showNotification('Wrong PIN. Please try again.', 'error');
+      return;
+    }
 
-    // Add the new child to the local array
-    const newChild = {
-      id: childId,
-      regNo: generateRegNo(),
-      name: childName,
-      dob: dob,
-      sex: document.getElementById('sex').value,
-      address: document.getElementById('address').value,
-      contact: document.getElementById('contact').value,
-      isDefaulter: false,
-      vaccinations: [],
-      createdAt: new Date()
-    };
-    
-    children.unshift(newChild);
-    
-    updateChildTable();
-    updateStats();
-    this.reset();
-    showNotification('Child registered successfully!', 'success');
-    
-    // Scroll to show the new entry
-    scrollToSection('childHealthRegister');
+    loginFailures = 0;
+    pinInput.value = '';
+    signIn(operator);
   } catch (error) {
-    console.error('Error registering child:', error);
-    showNotification('Error registering child. Please try again.', 'error');
+    console.error('Error signing in:', error);
+    showNotification('Error signing in. Please try again.', 'error');
   }
-});
-
-// Update Child Table
-function updateChildTable(filteredChildren = children) {
-  const tbody = document.querySelector('#childTable tbody');
-  tbody.innerHTML = '';
+}
 
-  if (filteredChildren.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No children found</td></tr>';
+// Create the first facility in-charge account on a new device
+async function createFirstOperator() {
+  const name = document.getElementById('setupName').value.trim();
+  const pin = document.getElementById('setupPin').value;
+  if (!name) {
+    showNotification('Please enter your name.', 'error');
+    return;
+  }
+  const problem = validatePin(pin, document.getElementById('setupPinConfirm').value);
+  if (problem) {
+    showNotification(problem, 'error');
     return;
   }
 
-  filteredChildren.forEach((child, index) => {
-    const row = document.createElement('tr');
-    row.innerHTML = `
-      <td>${child.regNo}</td>
-      <td>${child.name}</td>
-      <td>${formatDate(child.dob)}</td>
-      <td>${child.sex}</td>
-      <td>${child.address}</td>
-      <td>${child.contact || 'N/A'}</td>
-      <td>
-        <button onclick="openImmunizationModal(${index})">💉 Update</button>
-        <button onclick="openEditChildModal(${index})">✏️ Edit</button>
-        <button onclick="deleteChild(${index})" class="danger">🗑️ Delete</button>
-      </td>
-    `;
-    tbody.appendChild(row);
-  });
+  try {
+    if (await db.operators.count() > 0) return;
+    const operator = await setOperatorPin({ name, role: 'incharge', active: true, createdAt: new Date(), createdBy: name }, pin);
+    operator.id = await db.operators.add(operator);
+    document.getElementById('setupPin').value = '';
+    document.getElementById('setupPinConfirm').value = '';
+    signIn(operator);
+    showNotification('Account created. Add accounts for your staff under Operators.', 'success');
+  } catch (error) {
+    console.error('Error creating operator:', error);
+    showNotification('Error creating the account. Please try again.', 'error');
+  }
 }
 
-// Open Edit Child Modal
-function openEditChildModal(index) {
-  editChildIndex = index;
-  const modal = document.getElementById('editChildModal');
-  modal.style.display = 'flex';
+// Make an operator the current one and show the app
+function signIn(operator) {
+  currentOperator = operator;
+  lastActivityAt = Date.now();
+  document.getElementById('lockScreen').style.display = 'none';
+  applyPermissions();
+  updateChildTable();
 
-  const child = children[index];
-  document.getElementById('editChildName').value = child.name;
-  document.getElementById('editDob').value = child.dob;
-  document.getElementById('editSex').value = child.sex;
-  document.getElementById('editAddress').value = child.address;
-  document.getElementById('editContact').value = child.contact || '';
+  // Send and receive changes made while the app was closed or locked
+  syncNow();
+  sendScheduledReminders();
 }
 
-// Save Edited Child Details and close modal
-async function saveEditedChild() {
-  const child = children[editChildIndex];
-  child.name = document.getElementById('editChildName').value.trim();
-  child.dob = document.getElementById('editDob').value;
-  child.sex = document.getElementById('editSex').value;
-  child.address = document.getElementById('editAddress').value.trim();
-  child.contact = document.getElementById('editContact').value.trim();
+// Lock the app until someone signs in again
+function lockApp(message = '') {
+  currentOperator = null;
+  document.querySelectorAll('.modal').forEach(modal => { modal.style.display = 'none'; });
+  applyPermissions();
+  showLockScreen(message);
+}
 
-  try {
-    await db.children.update(child.id, {
-      name: child.name,
-      dob: child.dob,
-      sex: child.sex,
-      address: child.address,
-      contact: child.contact
-    });
-    
-    updateChildTable();
-    updateViewRecordsModal();
-    closeEditChildModal();
-    showNotification('Child details updated successfully!', 'success');
-  } catch (error) {
-    console.error('Error updating child:', error);
-    showNotification('Error updating child details. Please try again.', 'error');
+// Load how long the app may stay idle before it locks
+async function loadAutoLockSetting() {
+  const setting = await db.settings.get('autoLockMinutes');
+  autoLockMinutes = setting ? setting.value : 5;
+}
+
+// Lock the app when nobody has used it for a while
+function checkIdleLock() {
+  if (!currentOperator || !autoLockMinutes) return;
+  if (Date.now() - lastActivityAt > autoLockMinutes * 60 * 1000) {
+    lockApp(`Locked after ${autoLockMinutes} minutes without use.`);
   }
 }
 
-// Close Edit Child Modal
-function closeEditChildModal() {
-  document.getElementById('editChildModal').style.display = 'none';
+// Open Operators Modal
+async function openOperatorsModal() {
+  if (!requirePermission('manageOperators')) return;
+  document.getElementById('newOperatorRole').innerHTML = Object.keys(operatorRoles)
+    .map(role => `<option value="${role}">${operatorRoles[role].label}</option>`)
+    .join('');
+  document.getElementById('autoLockMinutes').value = autoLockMinutes;
+  await renderOperatorList();
+  document.getElementById('operatorsModal').style.display = 'flex';
 }
 
-// Open Immunization Modal
-function openImmunizationModal(index) {
-  selectedChildIndex = index;
-  const modal = document.getElementById('immunizationModal');
-  modal.style.display = 'flex';
+// Close Operators Modal
+function closeOperatorsModal() {
+  document.getElementById('operatorsModal').style.display = 'none';
+  document.getElementById('newOperatorPin').value = '';
+  document.getElementById('newOperatorPinConfirm').value = '';
+}
 
-  const tbody = document.querySelector('#immunizationTable tbody');
+// List operator accounts
+async function renderOperatorList() {
+  const operators = await db.operators.orderBy('name').toArray();
+  const tbody = document.querySelector('#operatorsTable tbody');
   tbody.innerHTML = '';
 
-  const child = children[index];
-  const childKey = `${child.regNo}-${child.name}`;
-  unsavedVaccinations[childKey] = unsavedVaccinations[childKey] || {};
-
-  vaccinationSchedule.forEach(vaccine => {
-    const existingVaccine = child.vaccinations.find(v => v.vaccine === vaccine);
-    const unsavedDate = unsavedVaccinations[childKey][vaccine];
-
+  operators.forEach(operator => {
     const row = document.createElement('tr');
     row.innerHTML = `
-      <td>${vaccine}</td>
-      <td><input type="date" class="dateGiven" value="${unsavedDate || existingVaccine?.dateGiven || ''}" onchange="trackUnsavedDate(this, '${childKey}', '${vaccine}')"></td>
-      <td><input type="text" class="batchNumber" value="${existingVaccine?.batchNumber || ''}" placeholder="Enter batch number"></td>
-      <td><input type="text" class="placeGiven" value="${existingVaccine?.placeGiven || ''}" placeholder="Enter place given"></td>
-      <td><input type="text" class="remarks" value="${existingVaccine?.remarks || ''}" placeholder="Enter remarks"></td>
-      <td>${formatDate(existingVaccine?.nextVisit) || 'N/A'}</td>
+      <td>${operator.name}</td>
+      <td>${operatorRoles[operator.role].label}</td>
+      <td>${operator.active ? 'Active' : 'Disabled'}</td>
+      <td>
+        <button onclick="resetOperatorPin(${operator.id})" class="secondary">🔑 Reset PIN</button>
+        <button onclick="setOperatorActive(${operator.id}, ${!operator.active})" class="${operator.active ? 'danger' : 'secondary'}">${operator.active ? '⛔ Disable' : '✅ Enable'}</button>
+      </td>
     `;
     tbody.appendChild(row);
   });
 }
 
-// Track unsaved dates
-function trackUnsavedDate(input, childKey, vaccine) {
-  if (!unsavedVaccinations[childKey]) {
-    unsavedVaccinations[childKey] = {};
+// Add an operator account
+async function addOperator() {
+  if (!requirePermission('manageOperators')) return;
+
+  const name = document.getElementById('newOperatorName').value.trim();
+  const role = document.getElementById('newOperatorRole').value;
+  const pin = document.getElementById('newOperatorPin').value;
+  if (!name || !operatorRoles[role]) {
+    showNotification('Please enter a name and choose a role.', 'error');
+    return;
+  }
+  const problem = validatePin(pin, document.getElementById('newOperatorPinConfirm').value);
+  if (problem) {
+    showNotification(problem, 'error');
+    return;
   }
-  unsavedVaccinations[childKey][vaccine] = input.value;
-}
 
-// Prompt to book next visit
-function promptToBookNextVisit() {
-  const confirmation = confirm('Do you want to book the next visit for this child?');
-  if (confirmation) {
-    openBookingModal();
-  } else {
-    saveImmunization(false); // Save without booking next visit
+  try {
+    if (await db.operators.where('name').equals(name).count()) {
+      showNotification('An operator with this name already exists.', 'error');
+      return;
+    }
+    await db.operators.add(await setOperatorPin({ name, role, active: true, createdAt: new Date(), createdBy: currentOperatorName() }, pin));
+    document.getElementById('newOperatorName').value = '';
+    document.getElementById('newOperatorPin').value = '';
+    document.getElementById('newOperatorPinConfirm').value = '';
+    await renderOperatorList();
+    showNotification('Operator added successfully!', 'success');
+  } catch (error) {
+    console.error('Error adding operator:', error);
+    showNotification('Error adding operator. Please try again.', 'error');
   }
 }
 
-// Open Booking Modal
-function openBookingModal() {
-  const modal = document.getElementById('bookingModal');
-  modal.style.display = 'flex';
-
-  const child = children[selectedChildIndex];
-  const childKey = `${child.regNo}-${child.name}`;
-  const vaccineSelection = document.getElementById('vaccineSelection');
-  vaccineSelection.innerHTML = '';
+// Give an operator a new PIN
+async function resetOperatorPin(id) {
+  if (!requirePermission('manageOperators')) return;
 
-  // Get vaccines that haven't been given yet (including checking unsaved dates)
-  const givenVaccines = child.vaccinations
-    .filter(v => v.dateGiven)
-    .map(v => v.vaccine);
-  
-  // Also exclude vaccines with unsaved dates
-  const unsavedDates = unsavedVaccinations[childKey] || {};
-  const vaccinesWithUnsavedDates = Object.keys(unsavedDates).filter(v => unsavedDates[v]);
-  
-  // Get booked vaccines
-  const bookedVaccines = child.vaccinations
-    .filter(v => v.nextVisit && !v.dateGiven)
-    .map(v => v.vaccine);
-  
-  // Available vaccines are those not given, not booked, and not having unsaved dates
-  const availableVaccines = vaccinationSchedule.filter(v => 
-    !givenVaccines.includes(v) && 
-    !bookedVaccines.includes(v) &&
-    !vaccinesWithUnsavedDates.includes(v)
-  );
+  const operator = await db.operators.get(id);
+  const pin = prompt(`New PIN for ${operator.name} (4 to 8 digits):`);
+  if (pin === null) return;
+  const problem = validatePin(pin, pin);
+  if (problem) {
+    showNotification(problem, 'error');
+    return;
+  }
 
-  if (availableVaccines.length === 0) {
-    vaccineSelection.innerHTML = '<p>No vaccines available for booking.</p>';
-    document.getElementById('nextVisitDate').disabled = true;
-  } else {
-    availableVaccines.forEach(vaccine => {
-      const vaccineItem = document.createElement('div');
-      vaccineItem.className = 'vaccine-item';
-      vaccineItem.innerHTML = `
-        <input type="checkbox" class="vaccine-checkbox" id="vaccine-${vaccine}" value="${vaccine}">
-        <label for="vaccine-${vaccine}">${vaccine}</label>
-      `;
-      vaccineSelection.appendChild(vaccineItem);
-    });
-    document.getElementById('nextVisitDate').disabled = false;
-    
-    // Set default date to tomorrow
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    document.getElementById('nextVisitDate').valueAsDate = tomorrow;
+  try {
+    await setOperatorPin(operator, pin);
+    await db.operators.put(operator);
+    showNotification(`PIN for ${operator.name} changed.`, 'success');
+  } catch (error) {
+    console.error('Error resetting PIN:', error);
+    showNotification('Error resetting PIN. Please try again.', 'error');
   }
 }
 
-// Close Booking Modal
-function closeBookingModal() {
-  const modal = document.getElementById('bookingModal');
-  modal.style.display = 'none';
+// Enable or disable an operator account. Accounts are kept, not deleted, so
+// the names in the audit log stay meaningful.
+async function setOperatorActive(id, active) {
+  if (!requirePermission('manageOperators')) return;
+
+  try {
+    const operator = await db.operators.get(id);
+    if (!active && operator.role === 'incharge') {
+      const activeInCharges = (await db.operators.where('role').equals('incharge').toArray()).filter(o => o.active);
+      if (activeInCharges.length <= 1) {
+        showNotification('At least one facility in-charge account must stay active.', 'error');
+        return;
+      }
+    }
+
+    await db.operators.update(id, { active });
+    await renderOperatorList();
+    if (!active && currentOperator && currentOperator.id === id) lockApp();
+  } catch (error) {
+    console.error('Error updating operator:', error);
+    showNotification('Error updating operator. Please try again.', 'error');
+  }
 }
 
-// Save Booking
-function saveBooking() {
-  const nextVisitDate = document.getElementById('nextVisitDate').value;
-  if (!nextVisitDate) {
-    showNotification('Please select a next visit date.', 'error');
+// Save the idle time before the app locks itself
+async function saveAutoLock() {
+  if (!requirePermission('manageSettings')) return;
+
+  const minutes = parseInt(document.getElementById('autoLockMinutes').value, 10);
+  if (!(minutes >= 1 && minutes <= 60)) {
+    showNotification('Auto-lock must be between 1 and 60 minutes.', 'error');
     return;
   }
 
-  const checkboxes = document.querySelectorAll('.vaccine-checkbox:checked');
+  try {
+    await db.settings.put({ id: 'autoLockMinutes', value: minutes });
+    autoLockMinutes = minutes;
+    showNotification('Auto-lock setting saved.', 'success');
+  } catch (error) {
+    console.error('Error saving auto-lock setting:', error);
+    showNotification('Error saving auto-lock setting. Please try again.', 'error');
+  }
+}
+
+// Any touch or key press counts as use of the app
+['click', 'keydown', 'touchstart', 'scroll'].forEach(eventName => {
+  document.addEventListener(eventName, () => { lastActivityAt = Date.now(); }, true);
+});
+setInterval(checkIdleLock, 30 * 1000);
+
+// Sign in with Enter in the PIN field
+document.getElementById('loginPin').addEventListener('keydown', function (e) {
+  if (e.key === 'Enter') unlockApp();
+});
+
+// Default Vaccination Schedule (national EPI schedule).
+// Ages and intervals are in days; minIntervalDays is counted from the previous
+// dose in the same series. maxAgeDays: null means no upper age limit.
+// The id is stored on vaccination records, so it must never change.
+const defaultVaccinationSchedule = [
+  { id: 'BCG', antigen: 'BCG', dose: 1, series: 'BCG', targetAgeDays: 0, minAgeDays: 0, minIntervalDays: 0, maxAgeDays: 365 },
+  { id: 'OPV0', antigen: 'OPV', dose: 0, series: 'OPV', targetAgeDays: 0, minAgeDays: 0, minIntervalDays: 0, maxAgeDays: 14 },
+  { id: 'Hepatitis B', antigen: 'Hepatitis B', dose: 1, series: 'HepB', targetAgeDays: 0, minAgeDays: 0, minIntervalDays: 0, maxAgeDays: 14 },
+  { id: 'OPV1', antigen: 'OPV', dose: 1, series: 'OPV', targetAgeDays: 42, minAgeDays: 42, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Penta1', antigen: 'Penta', dose: 1, series: 'Penta', targetAgeDays: 42, minAgeDays: 42, minIntervalDays: 0, maxAgeDays: 1826 },
+  { id: 'PCV1', antigen: 'PCV', dose: 1, series: 'PCV', targetAgeDays: 42, minAgeDays: 42, minIntervalDays: 0, maxAgeDays: 1826 },
+  { id: 'Rotavirus1', antigen: 'Rotavirus', dose: 1, series: 'Rotavirus', targetAgeDays: 42, minAgeDays: 42, minIntervalDays: 0, maxAgeDays: 730 },
+  { id: 'OPV2', antigen: 'OPV', dose: 2, series: 'OPV', targetAgeDays: 70, minAgeDays: 70, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Penta2', antigen: 'Penta', dose: 2, series: 'Penta', targetAgeDays: 70, minAgeDays: 70, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'PCV2', antigen: 'PCV', dose: 2, series: 'PCV', targetAgeDays: 70, minAgeDays: 70, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Rotavirus2', antigen: 'Rotavirus', dose: 2, series: 'Rotavirus', targetAgeDays: 70, minAgeDays: 70, minIntervalDays: 28, maxAgeDays: 730 },
+  { id: 'OPV3', antigen: 'OPV', dose: 3, series: 'OPV', targetAgeDays: 98, minAgeDays: 98, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Penta3', antigen: 'Penta', dose: 3, series: 'Penta', targetAgeDays: 98, minAgeDays: 98, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'PCV3', antigen: 'PCV', dose: 3, series: 'PCV', targetAgeDays: 98, minAgeDays: 98, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Rotavirus3', antigen: 'Rotavirus', dose: 3, series: 'Rotavirus', targetAgeDays: 98, minAgeDays: 98, minIntervalDays: 28, maxAgeDays: 730 },
+  { id: 'IPV1', antigen: 'IPV', dose: 1, series: 'IPV', targetAgeDays: 98, minAgeDays: 98, minIntervalDays: 0, maxAgeDays: 1826 },
+  { id: 'Malaria1', antigen: 'Malaria', dose: 1, series: 'Malaria', targetAgeDays: 182, minAgeDays: 152, minIntervalDays: 0, maxAgeDays: 730 },
+  { id: 'Vitamin A1', antigen: 'Vitamin A', dose: 1, series: 'VitaminA', targetAgeDays: 182, minAgeDays: 182, minIntervalDays: 0, maxAgeDays: 1826 },
+  { id: 'Malaria2', antigen: 'Malaria', dose: 2, series: 'Malaria', targetAgeDays: 213, minAgeDays: 182, minIntervalDays: 28, maxAgeDays: 730 },
+  { id: 'IPV2', antigen: 'IPV', dose: 2, series: 'IPV', targetAgeDays: 213, minAgeDays: 182, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Malaria3', antigen: 'Malaria', dose: 3, series: 'Malaria', targetAgeDays: 274, minAgeDays: 213, minIntervalDays: 28, maxAgeDays: 730 },
+  { id: 'Measles Rubella1', antigen: 'Measles Rubella', dose: 1, series: 'MR', targetAgeDays: 274, minAgeDays: 274, minIntervalDays: 0, maxAgeDays: 1826 },
+  { id: 'Vitamin A2', antigen: 'Vitamin A', dose: 2, series: 'VitaminA', targetAgeDays: 365, minAgeDays: 365, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Malaria4', antigen: 'Malaria', dose: 4, series: 'Malaria', targetAgeDays: 548, minAgeDays: 456, minIntervalDays: 182, maxAgeDays: 1095 },
+  { id: 'Measles Rubella2', antigen: 'Measles Rubella', dose: 2, series: 'MR', targetAgeDays: 548, minAgeDays: 456, minIntervalDays: 28, maxAgeDays: 1826 },
+  { id: 'Men A', antigen: 'Men A', dose: 1, series: 'MenA', targetAgeDays: 548, minAgeDays: 274, minIntervalDays: 0, maxAgeDays: 1826 },
+  { id: 'Vitamin A3', antigen: 'Vitamin A', dose: 3, series: 'VitaminA', targetAgeDays: 548, minAgeDays: 548, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A4', antigen: 'Vitamin A', dose: 4, series: 'VitaminA', targetAgeDays: 730, minAgeDays: 730, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A5', antigen: 'Vitamin A', dose: 5, series: 'VitaminA', targetAgeDays: 913, minAgeDays: 913, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A6', antigen: 'Vitamin A', dose: 6, series: 'VitaminA', targetAgeDays: 1095, minAgeDays: 1095, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A7', antigen: 'Vitamin A', dose: 7, series: 'VitaminA', targetAgeDays: 1278, minAgeDays: 1278, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A8', antigen: 'Vitamin A', dose: 8, series: 'VitaminA', targetAgeDays: 1461, minAgeDays: 1461, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A9', antigen: 'Vitamin A', dose: 9, series: 'VitaminA', targetAgeDays: 1643, minAgeDays: 1643, minIntervalDays: 120, maxAgeDays: 1826 },
+  { id: 'Vitamin A10', antigen: 'Vitamin A', dose: 10, series: 'VitaminA', targetAgeDays: 1826, minAgeDays: 1826, minIntervalDays: 120, maxAgeDays: 1886 }
+];
+
+// Active schedule - replaced by the facility's saved schedule in initApp
+let vaccinationSchedule = defaultVaccinationSchedule;
+
+// Find a schedule entry by id
+function getScheduleEntry(vaccineId) {
+  return vaccinationSchedule.find(entry => entry.id === vaccineId);
+}
+
+// Describe an age in days the way the schedule card does ("6 weeks", "9 months")
+function formatAge(days) {
+  if (days === 0) return 'Birth';
+  if (days < 182 && days % 7 === 0) return `${days / 7} weeks`;
+  return `${Math.round(days / 30.4375)} months`;
+}
+
+// Display label for a vaccine id, e.g. "Penta1 at 6 weeks"
+function formatVaccineLabel(vaccineId) {
+  const entry = getScheduleEntry(vaccineId);
+  return entry ? `${entry.id} at ${formatAge(entry.targetAgeDays)}` : vaccineId;
+}
+
+// Convert a vaccine name from the old string schedule ("Penta1 at 6 weeks")
+// to its schedule id. Ids that are already current are returned unchanged.
+function legacyVaccineId(vaccine) {
+  if (!vaccine || !vaccine.includes(' at ')) return vaccine;
+  const [name, age] = vaccine.split(' at ');
+  if (name === 'Vitamin A') {
+    const months = parseInt(age, 10);
+    return `Vitamin A${months / 6}`;
+  }
+  return name;
+}
+
+// Load the facility's schedule from settings, falling back to the default
+async function loadVaccinationSchedule() {
+  const setting = await db.settings.get('vaccinationSchedule');
+  vaccinationSchedule = setting && Array.isArray(setting.value) && setting.value.length > 0
+    ? setting.value
+    : defaultVaccinationSchedule;
+  updateOverdueFilterOptions();
+}
+
+// Add days to a YYYY-MM-DD date string
+function addDays(dateString, days) {
+  const date = new Date(dateString);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+// Whole days from one YYYY-MM-DD date to another
+function daysBetween(fromDate, toDate) {
+  return Math.round((new Date(toDate) - new Date(fromDate)) / (1000 * 60 * 60 * 24));
+}
+
+// The schedule in dose order, sorted again only when the schedule changes
+function getScheduleByDose() {
+  if (scheduleByDose.source !== vaccinationSchedule) {
+    scheduleByDose = { source: vaccinationSchedule, rules: [...vaccinationSchedule].sort((a, b) => a.dose - b.dose) };
+  }
+  return scheduleByDose.rules;
+}
+
+// Compute the due date of every vaccine not yet given, from the child's DOB.
+// Each dose is due at the later of its target age, its minimum age and the
+// minimum interval after the previous dose in its series (given or computed),
+// so children who start late get realistic catch-up dates.
+function computeDueDates(child) {
+  const todayString = new Date().toISOString().split('T')[0];
+  const lastDoseInSeries = {};
+  const dueDates = [];
+
+  if (!child.dob) return dueDates;
+
+  const givenDates = {};
+  child.vaccinations.forEach(v => {
+    if (v.dateGiven && !givenDates[v.vaccine]) givenDates[v.vaccine] = v.dateGiven.split('T')[0];
+  });
+
+  // Walk each series in dose order so intervals chain from the previous dose
+  getScheduleByDose().forEach(rule => {
+    const vaccine = rule.id;
+
+    if (givenDates[vaccine]) {
+      lastDoseInSeries[rule.series] = givenDates[vaccine];
+      return;
+    }
+
+    let dueDate = addDays(child.dob, Math.max(rule.targetAgeDays, rule.minAgeDays));
+    const previousDose = lastDoseInSeries[rule.series];
+    if (previousDose && rule.minIntervalDays) {
+      const earliest = addDays(previousDose, rule.minIntervalDays);
+      if (earliest > dueDate) dueDate = earliest;
+    }
+    lastDoseInSeries[rule.series] = dueDate;
+
+    // Skip doses whose age window has closed or will close before they are due
+    if (rule.maxAgeDays !== null) {
+      const lastDate = addDays(child.dob, rule.maxAgeDays);
+      if (dueDate > lastDate || todayString > lastDate) return;
+    }
+
+    dueDates.push({ vaccine, dueDate, booked: false });
+  });
+
+  return dueDates;
+}
+
+// Get all outstanding vaccines for a child with their due dates.
+// A manual booking replaces the computed date for the same vaccine.
+function getDueVaccines(child) {
+  const bookings = child.vaccinations
+    .filter(v => v.nextVisit && !v.dateGiven)
+    .map(v => ({ vaccine: v.vaccine, dueDate: v.nextVisit, booked: true }));
+  const bookedVaccines = bookings.map(b => b.vaccine);
+
+  return computeDueDates(child)
+    .filter(d => !bookedVaccines.includes(d.vaccine))
+    .concat(bookings)
+    .sort((a, b) => (a.dueDate < b.dueDate ? -1 : a.dueDate > b.dueDate ? 1 : 0));
+}
+
+// Supplements in the schedule that do not count towards full immunization
+const supplementAntigens = ['Vitamin A'];
+
+// Whole months of age on a date
+function ageInMonths(dob, onDate) {
+  const [birthYear, birthMonth, birthDay] = dob.split('T')[0].split('-').map(Number);
+  const [year, month, day] = onDate.split('T')[0].split('-').map(Number);
+  return (year - birthYear) * 12 + (month - birthMonth) - (day < birthDay ? 1 : 0);
+}
+
+// Vaccines a child needs before the given age to count as fully immunized
+function fullImmunizationVaccines(ageDays) {
+  return vaccinationSchedule
+    .filter(rule => rule.targetAgeDays < ageDays && !supplementAntigens.includes(rule.antigen))
+    .map(rule => rule.id);
+}
+
+// Date the child received the last of the given vaccines, or null if any is missing
+function completedOn(child, vaccines) {
+  let lastDate = '';
+  for (const vaccine of vaccines) {
+    const dose = child.vaccinations.find(v => v.vaccine === vaccine && v.dateGiven);
+    if (!dose) return null;
+    const dateGiven = dose.dateGiven.split('T')[0];
+    if (dateGiven > lastDate) lastDate = dateGiven;
+  }
+  return lastDate || null;
+}
+
+// Per-child immunization status, worked out from the schedule for the child's
+// age. Every child has one class; overdue vaccines are listed alongside it.
+const childStatusClasses = {
+  'zero-dose': { label: 'Zero-dose', badge: 'status-overdue' },
+  partial: { label: 'Partially immunized', badge: 'status-pending' },
+  'up-to-date': { label: 'Fully immunized for age', badge: 'status-completed' },
+  fic: { label: 'FIC by 12 months', badge: 'status-completed' },
+  cic: { label: 'CIC by 24 months', badge: 'status-completed' },
+  'not-due': { label: 'No vaccine due yet', badge: 'status-neutral' }
+};
+
+// Classify a child: { status, overdue, missing, expired }. Missing vaccines
+// are those past their target age and not given while they still can be;
+// expired ones were never given and their age window has closed. Either keeps
+// a child from counting as fully immunized. Supplements count for neither.
+function getChildStatus(child, due = getDueVaccines(child)) {
+  const todayString = new Date().toISOString().split('T')[0];
+  const overdue = due
+    .filter(due => due.dueDate < todayString)
+    .map(due => due.vaccine);
+
+  if (!child.dob) return { status: 'not-due', overdue, missing: [], expired: [] };
+
+  const ageDays = daysBetween(child.dob.split('T')[0], todayString);
+  const given = child.vaccinations.filter(v => {
+    const rule = getScheduleEntry(v.vaccine);
+    return v.dateGiven && !isBooking(v) && !(rule && supplementAntigens.includes(rule.antigen));
+  });
+  const notGiven = vaccinationSchedule
+    .filter(rule => rule.targetAgeDays <= ageDays && !supplementAntigens.includes(rule.antigen))
+    .filter(rule => !given.some(v => v.vaccine === rule.id));
+  const windowOpen = rule => rule.maxAgeDays === null || rule.maxAgeDays >= ageDays;
+  const missing = notGiven.filter(windowOpen).map(rule => rule.id);
+  const expired = notGiven.filter(rule => !windowOpen(rule)).map(rule => rule.id);
+
+  let status;
+  if (given.length === 0) {
+    status = vaccinationSchedule.some(rule => rule.targetAgeDays <= ageDays && !supplementAntigens.includes(rule.antigen))
+      ? 'zero-dose'
+      : 'not-due';
+  } else {
+    const complete = missing.length === 0 && expired.length === 0;
+    const cicDate = completedOn(child, fullImmunizationVaccines(730));
+    const ficDate = completedOn(child, fullImmunizationVaccines(365));
+    if (cicDate && ageInMonths(child.dob, cicDate) < 24) {
+      status = 'cic';
+    } else if (ficDate && ageInMonths(child.dob, ficDate) < 12 && complete) {
+      status = 'fic';
+    } else {
+      status = complete ? 'up-to-date' : 'partial';
+    }
+  }
+
+  return { status, overdue, missing, expired };
+}
+
+// Status badges of a child for the register tables
+function renderStatusBadges(child) {
+  const { status, overdue, expired } = getChildView(child).status;
+  const statusClass = childStatusClasses[status];
+  let badges = `<span class="status-badge ${statusClass.badge}">${statusClass.label}</span>`;
+  if (overdue.length > 0) {
+    badges += ` <span class="status-badge status-overdue" title="${overdue.join(', ')}">Overdue: ${overdue.join(', ')}</span>`;
+  }
+  if (expired.length > 0 && !['cic', 'fic'].includes(status)) {
+    badges += ` <span class="status-badge status-neutral" title="${expired.join(', ')}">Too late for: ${expired.join(', ')}</span>`;
+  }
+  return badges;
+}
+
+// Open Schedule Editor Modal
+function openScheduleModal() {
+  if (!requirePermission('editSchedule')) return;
+  renderScheduleEditor(vaccinationSchedule);
+  document.getElementById('scheduleModal').style.display = 'flex';
+}
+
+// Close Schedule Editor Modal
+function closeScheduleModal() {
+  document.getElementById('scheduleModal').style.display = 'none';
+}
+
+// Fill the schedule editor with one editable row per entry
+function renderScheduleEditor(schedule) {
+  document.querySelector('#scheduleTable tbody').innerHTML = '';
+  schedule.forEach(entry => addScheduleRow(entry));
+}
+
+// Add a row to the schedule editor (blank when no entry is given).
+// Ids of saved entries are read-only because records refer to them.
+function addScheduleRow(entry = null) {
+  const tbody = document.querySelector('#scheduleTable tbody');
+  const isSaved = entry && getScheduleEntry(entry.id);
+  const row = document.createElement('tr');
+  row.innerHTML = `
+    <td><input type="text" class="scheduleId" value="${entry ? entry.id : ''}" ${isSaved ? 'readonly' : ''} placeholder="e.g. Penta1"></td>
+    <td><input type="text" class="scheduleAntigen" value="${entry ? entry.antigen : ''}"></td>
+    <td><input type="number" class="scheduleDose" min="0" value="${entry ? entry.dose : 1}"></td>
+    <td><input type="text" class="scheduleSeries" value="${entry ? entry.series : ''}"></td>
+    <td><input type="number" class="scheduleTargetAge" min="0" value="${entry ? entry.targetAgeDays : ''}"></td>
+    <td><input type="number" class="scheduleMinAge" min="0" value="${entry ? entry.minAgeDays : ''}"></td>
+    <td><input type="number" class="scheduleMinInterval" min="0" value="${entry ? entry.minIntervalDays : 0}"></td>
+    <td><input type="number" class="scheduleMaxAge" min="0" value="${entry && entry.maxAgeDays !== null ? entry.maxAgeDays : ''}" placeholder="None"></td>
+    <td><button type="button" class="danger" onclick="this.closest('tr').remove()">🗑️</button></td>
+  `;
+  tbody.appendChild(row);
+}
+
+// Check a schedule for missing or inconsistent values.
+// Returns an error message, or null when the schedule is valid.
+function validateSchedule(schedule) {
+  if (schedule.length === 0) return 'The schedule must contain at least one vaccine.';
+
+  const ids = new Set();
+  for (const entry of schedule) {
+    if (!entry.id || !entry.antigen || !entry.series) {
+      return 'Each vaccine needs an id, antigen and series.';
+    }
+    if (ids.has(entry.id)) return `Vaccine id "${entry.id}" is used more than once.`;
+    ids.add(entry.id);
+
+    const ages = [entry.dose, entry.targetAgeDays, entry.minAgeDays, entry.minIntervalDays];
+    if (entry.maxAgeDays !== null) ages.push(entry.maxAgeDays);
+    if (ages.some(value => !Number.isInteger(value) || value < 0)) {
+      return `${entry.id}: dose, ages and interval must be whole numbers of 0 or more.`;
+    }
+    if (entry.minAgeDays > entry.targetAgeDays) {
+      return `${entry.id}: minimum age cannot be later than the target age.`;
+    }
+    if (entry.maxAgeDays !== null && entry.maxAgeDays < entry.targetAgeDays) {
+      return `${entry.id}: maximum age cannot be earlier than the target age.`;
+    }
+  }
+
+  // Vaccines with recorded doses must stay in the schedule
+  for (const child of children) {
+    const missing = child.vaccinations.find(v => !ids.has(v.vaccine));
+    if (missing) return `${missing.vaccine} has recorded doses and cannot be removed.`;
+  }
+
+  return null;
+}
+
+// Save the edited schedule to settings
+async function saveSchedule() {
+  if (!requirePermission('editSchedule')) return;
+  const rows = document.querySelectorAll('#scheduleTable tbody tr');
+  const readNumber = (row, selector) => {
+    const value = row.querySelector(selector).value;
+    return value === '' ? NaN : Number(value);
+  };
+
+  const schedule = Array.from(rows).map(row => {
+    const maxAge = row.querySelector('.scheduleMaxAge').value;
+    return {
+      id: row.querySelector('.scheduleId').value.trim(),
+      antigen: row.querySelector('.scheduleAntigen').value.trim(),
+      dose: readNumber(row, '.scheduleDose'),
+      series: row.querySelector('.scheduleSeries').value.trim(),
+      targetAgeDays: readNumber(row, '.scheduleTargetAge'),
+      minAgeDays: readNumber(row, '.scheduleMinAge'),
+      minIntervalDays: readNumber(row, '.scheduleMinInterval'),
+      maxAgeDays: maxAge === '' ? null : Number(maxAge)
+    };
+  });
+
+  const error = validateSchedule(schedule);
+  if (error) {
+    showNotification(error, 'error');
+    return;
+  }
+
+  // Store the schedule sorted by target age, then dose number
+  schedule.sort((a, b) => a.targetAgeDays - b.targetAgeDays || a.dose - b.dose);
+
+  try {
+    await db.settings.put({ id: 'vaccinationSchedule', value: schedule });
+    vaccinationSchedule = schedule;
+    updateOverdueFilterOptions();
+
+    closeScheduleModal();
+    refreshChildViews();
+    showNotification('Vaccination schedule saved successfully!', 'success');
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    showNotification('Error saving vaccination schedule. Please try again.', 'error');
+  }
+}
+
+// Load the national default schedule into the editor (not saved until Save)
+function resetScheduleToDefault() {
+  if (confirm('Replace the schedule in the editor with the national default schedule?')) {
+    renderScheduleEditor(defaultVaccinationSchedule);
+  }
+}
+
+// Generate unique registration number.
+// Numbers continue from the highest saved for the year, so gaps left by
+// deleted children are never reused.
+async function generateRegNo() {
+  const year = new Date().getFullYear();
+  const regNos = await db.children.orderBy('regNo').keys();
+  const highest = regNos
+    .filter(regNo => typeof regNo === 'string' && regNo.endsWith(`/${year}`))
+    .map(regNo => parseInt(regNo, 10) || 0)
+    .reduce((max, number) => Math.max(max, number), 0);
+
+  return `${String(highest + 1).padStart(3, '0')}/${year}`;
+}
+
+// Register child
+document.getElementById('registrationForm').addEventListener('submit', async function (e) {
+  e.preventDefault();
+  if (!requirePermission('registerChildren')) return;
+
+  const details = {
+    name: document.getElementById('childName').value.trim(),
+    dob: document.getElementById('dob').value,
+    sex: document.getElementById('sex').value,
+    address: document.getElementById('address').value,
+    contact: document.getElementById('contact').value
+  };
+
+  if (new Date(details.dob) > new Date()) {
+    showNotification('Date of Birth cannot be in the future.', 'error');
+    return;
+  }
+
+  // A sibling's household is shared; otherwise the form describes a new one
+  const siblingRegNo = document.getElementById('siblingRegNo').value.trim();
+  const sibling = siblingRegNo ? children.find(child => child.regNo === siblingRegNo) : null;
+  if (siblingRegNo && !sibling) {
+    showNotification(`No child with Reg No. ${siblingRegNo} is registered.`, 'error');
+    return;
+  }
+  const household = getHousehold(sibling) || {
+    motherName: document.getElementById('motherName').value.trim(),
+    caregiverName: document.getElementById('caregiverName').value.trim(),
+    phones: parsePhones(`${details.contact}\n${document.getElementById('otherPhones').value}`),
+    community: details.address.trim(),
+    landmark: document.getElementById('landmark').value.trim(),
+    language: document.getElementById('language').value
+  };
+  details.address = household.community;
+  details.contact = household.phones[0] || '';
+  const registration = { details, household, sibling };
+
+  // Warn about children who look like the same child before registering
+  const duplicates = findPossibleDuplicates({ ...details, motherName: household.motherName });
+  if (duplicates.length > 0) {
+    openDuplicateModal(registration, duplicates);
+    return;
+  }
+
+  await registerChild(registration);
+});
+
+// Add a new child to the register, with a new household unless they join a
+// sibling's. A sibling registered before households were kept joins the new one.
+async function registerChild({ details, household, sibling }) {
+  try {
+    const newChild = stampRecord(recordOperator(assignRecordIdentity({
+      regNo: await generateRegNo(),
+      ...details,
+      isDefaulter: false
+    }), true), syncedFields.children);
+
+    let newHousehold = null;
+    await db.transaction('rw', [db.households, db.children, db.outbox, db.auditLog], async () => {
+      if (household.uid) {
+        newChild.householdUid = household.uid;
+      } else {
+        newHousehold = await addHousehold(household);
+        newChild.householdUid = newHousehold.uid;
+        if (sibling) await updateChildFields(sibling, { householdUid: newHousehold.uid });
+      }
+      newChild.id = await db.children.add(newChild);
+      await queueChange('children', newChild);
+      await auditChange('children', 'create', null, newChild);
+    });
+
+    // Add the new child to the local array
+    if (newHousehold) households.set(newHousehold.uid, newHousehold);
+    newChild.vaccinations = [];
+    children.unshift(newChild);
+    scheduleSync();
+    
+    refreshChildViews(newChild);
+    document.getElementById('registrationForm').reset();
+    showSiblingHousehold();
+    showNotification('Child registered successfully!', 'success');
+    
+    // Scroll to show the new entry
+    scrollToSection('childHealthRegister');
+  } catch (error) {
+    console.error('Error registering child:', error);
+    showNotification('Error registering child. Please try again.', 'error');
+  }
+}
+
+// Update Child Table, keeping the register's current filters and sort order
+function updateChildTable(filteredChildren = getFilteredChildren()) {
+  const tbody = document.querySelector('#childTable tbody');
+  tbody.innerHTML = '';
+  renderPager('childTable', filteredChildren.length);
+
+  if (filteredChildren.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No children found</td></tr>';
+    return;
+  }
+
+  pageOf('childTable', filteredChildren).forEach(child => {
+    const index = children.indexOf(child);
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${child.regNo}</td>
+      <td>${child.name}</td>
+      <td>${formatDate(child.dob)}</td>
+      <td>${child.sex}</td>
+      <td>${child.address}</td>
+      <td>${child.contact || 'N/A'}</td>
+      <td>${renderStatusBadges(child)}</td>
+      <td>
+        <button onclick="openImmunizationModal(${index})">💉 Update</button>
+        ${hasPermission('editChildren') ? `<button onclick="openEditChildModal(${index})">✏️ Edit</button>` : ''}
+        ${hasPermission('editChildren') ? `<button onclick="openHouseholdModal(${index})" class="secondary">🏠 Household</button>` : ''}
+        <button onclick="openHistoryModal(${index})" class="secondary">📜 History</button>
+        <button onclick="printChildCard(${index})" class="secondary">🪪 Card</button>
+        ${hasPermission('deleteChildren') ? `<button onclick="deleteChild(${index})" class="danger">🗑️ Delete</button>` : ''}
+      </td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+// Open Edit Child Modal
+function openEditChildModal(index) {
+  if (!requirePermission('editChildren')) return;
+  editChildIndex = index;
+  const modal = document.getElementById('editChildModal');
+  modal.style.display = 'flex';
+
+  const child = children[index];
+  document.getElementById('editChildName').value = child.name;
+  document.getElementById('editDob').value = child.dob;
+  document.getElementById('editSex').value = child.sex;
+  document.getElementById('editAddress').value = child.address;
+  document.getElementById('editContact').value = child.contact || '';
+
+  // A household's community and phone apply to all its children; they are changed there
+  const household = getHousehold(child);
+  document.getElementById('editAddress').readOnly = Boolean(household);
+  document.getElementById('editContact').readOnly = Boolean(household);
+  document.getElementById('editHouseholdNote').style.display = household ? 'block' : 'none';
+}
+
+// Save Edited Child Details and close modal
+async function saveEditedChild() {
+  if (!requirePermission('editChildren')) return;
+  const child = children[editChildIndex];
+  const changes = {
+    name: document.getElementById('editChildName').value.trim(),
+    dob: document.getElementById('editDob').value,
+    sex: document.getElementById('editSex').value,
+    address: document.getElementById('editAddress').value.trim(),
+    contact: document.getElementById('editContact').value.trim()
+  };
+  const changedFields = Object.keys(changes).filter(field => child[field] !== changes[field]);
+  if (changedFields.length > 0) {
+    changes.updatedAt = new Date();
+    changes.updatedBy = currentOperatorName();
+    changedFields.push('updatedAt', 'updatedBy');
+  }
+  const before = { ...child };
+  Object.assign(child, changes);
+  stampRecord(child, changedFields);
+
+  try {
+    await db.transaction('rw', db.children, db.outbox, db.auditLog, async () => {
+      await db.children.update(child.id, { ...changes, _sync: child._sync });
+      if (changedFields.length > 0) {
+        await queueChange('children', child);
+        await auditChange('children', 'update', before, child);
+      }
+    });
+    scheduleSync();
+    
+    refreshChildViews(child);
+    closeEditChildModal();
+    showNotification('Child details updated successfully!', 'success');
+  } catch (error) {
+    console.error('Error updating child:', error);
+    showNotification('Error updating child details. Please try again.', 'error');
+  }
+}
+
+// Close Edit Child Modal
+function closeEditChildModal() {
+  document.getElementById('editChildModal').style.display = 'none';
+}
+
+// Households: the mother or caregiver of one or more children, with their
+// phone numbers and where they live. The first phone number and the community
+// are copied to each child's contact and address, so a change made once
+// reaches every sibling.
+const householdFormFields = ['address', 'contact', 'motherName', 'caregiverName', 'otherPhones', 'landmark'];
+
+// The household of a child, or null
+function getHousehold(child) {
+  return (child && child.householdUid && households.get(child.householdUid)) || null;
+}
+
+// Children of a household
+function getHouseholdMembers(household) {
+  return children.filter(child => child.householdUid === household.uid);
+}
+
+// Phone numbers from text separated by commas, semicolons or new lines,
+// without repeating a number written differently
+function parsePhones(text) {
+  const seen = new Set();
+  return String(text || '').split(/[,;\n]/)
+    .map(phone => phone.trim())
+    .filter(phone => {
+      const key = phoneKey(phone) || phone;
+      if (!phone || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+// Who to contact about a child, with phone numbers that can be tapped to call
+function formatCaregiver(child) {
+  const household = getHousehold(child);
+  const names = household ? [household.motherName, household.caregiverName].filter(Boolean) : [];
+  const phones = household ? household.phones : [child.contact].filter(Boolean);
+  const place = household && household.landmark ? `${household.community}, ${household.landmark}` : child.address;
+  return `
+    ${names.join(' / ') || 'N/A'}<br>
+    ${phones.map(phone => `<a href="tel:${phone.replace(/[^\d+]/g, '')}">${phone}</a>`).join(', ') || 'No phone'}<br>
+    <small>${place || ''}</small>
+  `;
+}
+
+// Add a household. Call inside a transaction over households, outbox and auditLog.
+async function addHousehold(fields) {
+  const household = stampRecord(recordOperator(assignRecordIdentity({ ...fields }), true), syncedFields.households);
+  household.id = await db.households.add(household);
+  await queueChange('households', household);
+  await auditChange('households', 'create', null, household);
+  return household;
+}
+
+// Save the fields of a child that differ from the given values. Call inside
+// a transaction over children, outbox and auditLog.
+async function updateChildFields(child, values) {
+  const changes = {};
+  Object.keys(values).forEach(field => {
+    if ((child[field] || '') !== values[field]) changes[field] = values[field];
+  });
+  if (Object.keys(changes).length === 0) return false;
+
+  const before = { ...child };
+  changes.updatedAt = new Date();
+  changes.updatedBy = currentOperatorName();
+  Object.assign(child, changes);
+  stampRecord(child, Object.keys(changes));
+  await db.children.update(child.id, { ...changes, _sync: child._sync });
+  await queueChange('children', child);
+  await auditChange('children', 'update', before, child);
+  return true;
+}
+
+// Fill the registration form from the household of the sibling named on it.
+// The new child joins that household, so its details are changed from the
+// Household window instead.
+function showSiblingHousehold() {
+  const regNo = document.getElementById('siblingRegNo').value.trim();
+  const sibling = regNo ? children.find(child => child.regNo === regNo) : null;
+  const household = getHousehold(sibling);
+  const note = document.getElementById('siblingHousehold');
+
+  householdFormFields.forEach(id => { document.getElementById(id).readOnly = Boolean(household); });
+  document.getElementById('language').disabled = Boolean(household);
+  if (household) {
+    document.getElementById('address').value = household.community;
+    document.getElementById('contact').value = household.phones[0] || '';
+    document.getElementById('otherPhones').value = household.phones.slice(1).join(', ');
+    document.getElementById('motherName').value = household.motherName;
+    document.getElementById('caregiverName').value = household.caregiverName;
+    document.getElementById('landmark').value = household.landmark;
+    document.getElementById('language').value = household.language || 'en';
+    note.textContent = `Joins the household of ${sibling.name}${household.motherName ? `, mother ${household.motherName}` : ''}.`;
+  } else if (sibling) {
+    document.getElementById('address').value = document.getElementById('address').value || sibling.address;
+    document.getElementById('contact').value = document.getElementById('contact').value || sibling.contact || '';
+    note.textContent = `${sibling.name} has no household yet. One will be created for both children.`;
+  } else {
+    note.textContent = regNo ? `No child with Reg No. ${regNo} is registered.` : '';
+  }
+}
+
+// Open Household Modal for a child's household. A child registered before
+// households were kept gets a new one, started from their own details.
+function openHouseholdModal(index) {
+  if (!requirePermission('editChildren')) return;
+  const child = children[index];
+  const household = getHousehold(child);
+  editHousehold = { household, members: household ? getHouseholdMembers(household) : [child] };
+
+  const details = household || {
+    motherName: '',
+    caregiverName: '',
+    phones: [child.contact].filter(Boolean),
+    community: child.address || '',
+    landmark: '',
+    language: 'en'
+  };
+  document.getElementById('householdMotherName').value = details.motherName;
+  document.getElementById('householdCaregiverName').value = details.caregiverName;
+  document.getElementById('householdPhones').value = details.phones.join('\n');
+  document.getElementById('householdCommunity').value = details.community;
+  document.getElementById('householdLandmark').value = details.landmark;
+  document.getElementById('householdLanguage').value = details.language || 'en';
+  document.getElementById('householdLinkRegNo').value = '';
+  renderHouseholdMembers();
+  document.getElementById('householdModal').style.display = 'flex';
+}
+
+// Close Household Modal
+function closeHouseholdModal() {
+  editHousehold = null;
+  document.getElementById('householdModal').style.display = 'none';
+}
+
+function renderHouseholdMembers() {
+  const { members } = editHousehold;
+  document.querySelector('#householdChildrenTable tbody').innerHTML = members.map(child => `
+    <tr>
+      <td>${child.regNo}</td>
+      <td>${child.name}</td>
+      <td>${formatDate(child.dob)}</td>
+      <td>${renderStatusBadges(child)}</td>
+      <td>${members.length > 1 ? `<button onclick="unlinkHouseholdChild('${child.uid}')" class="secondary">Remove</button>` : ''}</td>
+    </tr>
+  `).join('');
+}
+
+// Add a sibling to the household being edited (saved with the household)
+function linkHouseholdChild() {
+  const regNo = document.getElementById('householdLinkRegNo').value.trim();
+  const child = children.find(c => c.regNo === regNo);
+  if (!child) {
+    showNotification(`No child with Reg No. ${regNo} is registered.`, 'error');
+    return;
+  }
+  if (editHousehold.members.includes(child)) {
+    showNotification(`${child.name} is already in this household.`, 'info');
+    return;
+  }
+
+  const otherHousehold = getHousehold(child);
+  if (otherHousehold && !confirm(`${child.name} belongs to another household${otherHousehold.motherName ? ` (mother ${otherHousehold.motherName})` : ''}. Move them to this household?`)) {
+    return;
+  }
+  editHousehold.members.push(child);
+  document.getElementById('householdLinkRegNo').value = '';
+  renderHouseholdMembers();
+}
+
+// Take a child out of the household being edited (saved with the household)
+function unlinkHouseholdChild(uid) {
+  editHousehold.members = editHousehold.members.filter(child => child.uid !== uid);
+  renderHouseholdMembers();
+}
+
+// Save the household and copy its community and main phone number to every child in it
+async function saveHousehold() {
+  if (!requirePermission('editChildren') || !editHousehold) return;
+  const { household, members } = editHousehold;
+  const fields = {
+    motherName: document.getElementById('householdMotherName').value.trim(),
+    caregiverName: document.getElementById('householdCaregiverName').value.trim(),
+    phones: parsePhones(document.getElementById('householdPhones').value),
+    community: document.getElementById('householdCommunity').value.trim(),
+    landmark: document.getElementById('householdLandmark').value.trim(),
+    language: document.getElementById('householdLanguage').value
+  };
+  if (!fields.community) {
+    showNotification('Please enter the community the household lives in.', 'error');
+    return;
+  }
+
+  const removed = household ? getHouseholdMembers(household).filter(child => !members.includes(child)) : [];
+  try {
+    let saved = household;
+    let updatedChildren = 0;
+    await db.transaction('rw', [db.households, db.children, db.outbox, db.auditLog], async () => {
+      if (household) {
+        const changedFields = Object.keys(fields).filter(field => JSON.stringify(household[field]) !== JSON.stringify(fields[field]));
+        if (changedFields.length > 0) {
+          const before = { ...household };
+          const changes = { ...fields, updatedAt: new Date(), updatedBy: currentOperatorName() };
+          Object.assign(household, changes);
+          stampRecord(household, [...changedFields, 'updatedAt', 'updatedBy']);
+          await db.households.update(household.id, { ...changes, _sync: household._sync });
+          await queueChange('households', household);
+          await auditChange('households', 'update', before, household);
+        }
+      } else {
+        saved = await addHousehold(fields);
+      }
+
+      for (const child of members) {
+        const values = { householdUid: saved.uid, address: saved.community, contact: saved.phones[0] || '' };
+        if (await updateChildFields(child, values)) updatedChildren++;
+      }
+      for (const child of removed) {
+        await updateChildFields(child, { householdUid: '' });
+      }
+    });
+
+    households.set(saved.uid, saved);
+    scheduleSync();
+    closeHouseholdModal();
+    refreshChildViews();
+    showNotification(`Household saved.${updatedChildren ? ` Contact details updated for ${updatedChildren} ${updatedChildren === 1 ? 'child' : 'children'}.` : ''}`, 'success');
+  } catch (error) {
+    console.error('Error saving household:', error);
+    showNotification('Error saving the household. Please try again.', 'error');
+    // Drop any in-memory changes made before the transaction failed
+    await loadChildren();
+    refreshChildViews();
+  }
+}
+
+// Open Immunization Modal
+function openImmunizationModal(index) {
+  selectedChildIndex = index;
+  const modal = document.getElementById('immunizationModal');
+  modal.style.display = 'flex';
+
+  const tbody = document.querySelector('#immunizationTable tbody');
+  tbody.innerHTML = '';
+
+  const child = children[index];
+  const childKey = `${child.regNo}-${child.name}`;
+  unsavedVaccinations[childKey] = unsavedVaccinations[childKey] || {};
+
+  vaccinationSchedule.forEach(entry => {
+    const vaccine = entry.id;
+    const existingVaccine = child.vaccinations.find(v => v.vaccine === vaccine && !isBooking(v));
+    const booked = child.vaccinations.find(v => v.vaccine === vaccine && isBooking(v));
+    const overrideReason = existingVaccine?.overrideReason || '';
+    const unsavedDate = unsavedVaccinations[childKey][vaccine];
+
+    const row = document.createElement('tr');
+    row.dataset.vaccine = vaccine;
+    row.innerHTML = `
+      <td>${formatVaccineLabel(vaccine)}</td>
+      <td><input type="date" class="dateGiven" value="${unsavedDate || existingVaccine?.dateGiven || ''}" onchange="trackUnsavedDate(this, '${childKey}', '${vaccine}')"></td>
+      <td>${renderBatchPicker(vaccine, existingVaccine?.batchNumber || '')}</td>
+      <td><input type="text" class="placeGiven" value="${existingVaccine?.placeGiven || ''}" placeholder="Enter place given"></td>
+      <td><input type="text" class="remarks" value="${existingVaccine?.remarks || ''}" placeholder="Enter remarks"></td>
+      <td>${formatDate(booked?.nextVisit) || 'N/A'}</td>
+      <td>
+        <div class="doseIssues"></div>
+        <input type="text" class="overrideReason" value="${overrideReason}" placeholder="Reason for override" style="display: none;">
+      </td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  validateImmunizationRows();
+}
+
+// Track unsaved dates
+function trackUnsavedDate(input, childKey, vaccine) {
+  if (!unsavedVaccinations[childKey]) {
+    unsavedVaccinations[childKey] = {};
+  }
+  unsavedVaccinations[childKey][vaccine] = input.value;
+  validateImmunizationRows();
+}
+
+// Clinical checks on the date a dose was given. Errors are impossible dates
+// and block saving; warnings can be overridden with a reason.
+// givenDates maps vaccine ids to the dates currently entered for the child.
+function checkDoseDate(child, vaccine, dateGiven, givenDates) {
+  const issues = [];
+  const error = message => issues.push({ severity: 'error', message });
+  const warning = message => issues.push({ severity: 'warning', message });
+
+  if (dateGiven > new Date().toISOString().split('T')[0]) error('The date given is in the future.');
+  if (child.dob && dateGiven < child.dob) error('The date given is before the date of birth.');
+
+  const rule = getScheduleEntry(vaccine);
+  if (!rule || !child.dob || issues.length > 0) return issues;
+
+  const age = daysBetween(child.dob, dateGiven);
+  if (age < rule.minAgeDays) {
+    warning(`Given at ${age} days old; the minimum age is ${rule.minAgeDays} days.`);
+  }
+  if (rule.maxAgeDays !== null && age > rule.maxAgeDays) {
+    warning(`Given at ${age} days old, after the maximum age of ${rule.maxAgeDays} days.`);
+  }
+
+  // Earlier doses of the series, latest first. A missing one only matters
+  // while it could still have been given.
+  const earlierDoses = vaccinationSchedule
+    .filter(entry => entry.series === rule.series && entry.dose < rule.dose)
+    .sort((a, b) => b.dose - a.dose);
+  const missing = earlierDoses.filter(entry => !givenDates[entry.id] && (entry.maxAgeDays === null || age <= entry.maxAgeDays));
+  if (missing.length > 0) {
+    warning(`Given before ${missing.map(entry => entry.id).reverse().join(', ')} ${missing.length > 1 ? 'were' : 'was'} recorded.`);
+  }
+
+  const previous = earlierDoses.find(entry => givenDates[entry.id]);
+  if (previous) {
+    const interval = daysBetween(givenDates[previous.id], dateGiven);
+    if (interval < 0) {
+      warning(`Given before ${previous.id} (${formatDate(givenDates[previous.id])}).`);
+    } else if (interval < rule.minIntervalDays) {
+      warning(`Given ${interval} days after ${previous.id}; the minimum interval is ${rule.minIntervalDays} days.`);
+    }
+  }
+
+  return issues;
+}
+
+// Check every dated row of the immunization modal and show the results in the
+// row. Returns the issues for each vaccine.
+function validateImmunizationRows() {
+  const child = children[selectedChildIndex];
+  const rows = Array.from(document.querySelectorAll('#immunizationTable tbody tr'));
+  const givenDates = {};
+  rows.forEach(row => {
+    const dateGiven = row.querySelector('.dateGiven').value;
+    if (dateGiven) givenDates[row.dataset.vaccine] = dateGiven;
+  });
+
+  const results = {};
+  rows.forEach(row => {
+    const vaccine = row.dataset.vaccine;
+    const issues = givenDates[vaccine] ? checkDoseDate(child, vaccine, givenDates[vaccine], givenDates) : [];
+    const lot = findDoseLot({ vaccine, dateGiven: givenDates[vaccine], batchNumber: row.querySelector('.batchNumber').value });
+    if (lot && lot.expiryDate < givenDates[vaccine]) {
+      issues.push({ severity: 'error', message: `Batch ${lot.batchNumber} expired on ${formatDate(lot.expiryDate)}.` });
+    }
+    results[vaccine] = issues;
+
+    row.querySelector('.doseIssues').innerHTML = issues
+      .map(issue => `<div class="${issue.severity === 'error' ? 'highlight-red' : 'highlight-yellow'}">${issue.severity === 'error' ? '⛔' : '⚠️'} ${issue.message}</div>`)
+      .join('');
+    const overridable = issues.length > 0 && issues.every(issue => issue.severity === 'warning');
+    row.querySelector('.overrideReason').style.display = overridable ? 'block' : 'none';
+  });
+
+  return results;
+}
+
+// Whether the dates entered in the immunization modal may be saved. Only rows
+// whose date or batch was changed are held back; older records are shown but not blocked.
+function checkImmunizationEntries() {
+  const child = children[selectedChildIndex];
+  const results = validateImmunizationRows();
+  const changedRows = Array.from(document.querySelectorAll('#immunizationTable tbody tr')).filter(row => {
+    const saved = child.vaccinations.find(v => v.vaccine === row.dataset.vaccine && !isBooking(v));
+    return row.querySelector('.dateGiven').value !== ((saved && saved.dateGiven) || '') ||
+      row.querySelector('.batchNumber').value !== ((saved && saved.batchNumber) || '');
+  });
+
+  if (changedRows.some(row => results[row.dataset.vaccine].some(issue => issue.severity === 'error'))) {
+    showNotification('Some dates given are not possible. Please correct the rows marked ⛔.', 'error');
+    return false;
+  }
+  if (changedRows.some(row => results[row.dataset.vaccine].length > 0 && !row.querySelector('.overrideReason').value.trim())) {
+    showNotification('Please enter a reason for each dose recorded despite a ⚠️ warning.', 'error');
+    return false;
+  }
+  return true;
+}
+
+// Prompt to book next visit
+function promptToBookNextVisit() {
+  if (!requirePermission('recordDoses') || !checkImmunizationEntries()) return;
+  const confirmation = confirm('Do you want to book the next visit for this child?');
+  if (confirmation) {
+    openBookingModal();
+  } else {
+    saveImmunization(false); // Save without booking next visit
+  }
+}
+
+// Open Booking Modal
+function openBookingModal() {
+  const modal = document.getElementById('bookingModal');
+  modal.style.display = 'flex';
+
+  const child = children[selectedChildIndex];
+  const childKey = `${child.regNo}-${child.name}`;
+  const vaccineSelection = document.getElementById('vaccineSelection');
+  vaccineSelection.innerHTML = '';
+
+  // Get vaccines that haven't been given yet (including checking unsaved dates)
+  const givenVaccines = child.vaccinations
+    .filter(v => v.dateGiven)
+    .map(v => v.vaccine);
+  
+  // Also exclude vaccines with unsaved dates
+  const unsavedDates = unsavedVaccinations[childKey] || {};
+  const vaccinesWithUnsavedDates = Object.keys(unsavedDates).filter(v => unsavedDates[v]);
+  
+  // Get booked vaccines
+  const bookedVaccines = child.vaccinations
+    .filter(v => v.nextVisit && !v.dateGiven)
+    .map(v => v.vaccine);
+  
+  // Available vaccines are those not given, not booked, and not having unsaved dates
+  const availableVaccines = vaccinationSchedule.map(entry => entry.id).filter(v => 
+    !givenVaccines.includes(v) && 
+    !bookedVaccines.includes(v) &&
+    !vaccinesWithUnsavedDates.includes(v)
+  );
+
+  if (availableVaccines.length === 0) {
+    vaccineSelection.innerHTML = '<p>No vaccines available for booking.</p>';
+    document.getElementById('nextVisitDate').disabled = true;
+  } else {
+    availableVaccines.forEach(vaccine => {
+      const vaccineItem = document.createElement('div');
+      vaccineItem.className = 'vaccine-item';
+      vaccineItem.innerHTML = `
+        <input type="checkbox" class="vaccine-checkbox" id="vaccine-${vaccine}" value="${vaccine}">
+        <label for="vaccine-${vaccine}">${formatVaccineLabel(vaccine)}</label>
+      `;
+      vaccineSelection.appendChild(vaccineItem);
+    });
+    document.getElementById('nextVisitDate').disabled = false;
+    
+    // Set default date to tomorrow
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    document.getElementById('nextVisitDate').valueAsDate = tomorrow;
+  }
+}
+
+// Close Booking Modal
+function closeBookingModal() {
+  const modal = document.getElementById('bookingModal');
+  modal.style.display = 'none';
+}
+
+// Save Booking
+function saveBooking() {
+  const nextVisitDate = document.getElementById('nextVisitDate').value;
+  if (!nextVisitDate) {
+    showNotification('Please select a next visit date.', 'error');
+    return;
+  }
+
+  const checkboxes = document.querySelectorAll('.vaccine-checkbox:checked');
   if (checkboxes.length === 0) {
     showNotification('Please select at least one vaccine for the next visit.', 'error');
     return;
   }
 
-  // First save the immunization data without next visit dates
-  saveImmunization(true, nextVisitDate, Array.from(checkboxes).map(cb => cb.value));
+  // First save the immunization data without next visit dates
+  saveImmunization(true, nextVisitDate, Array.from(checkboxes).map(cb => cb.value));
+}
+
+// Whether a vaccination record is a booked visit rather than a dose
+function isBooking(record) {
+  return record.status === 'scheduled';
+}
+
+// Work out which of a child's vaccination records to add, change or delete
+// for the entries in the immunization modal and an optional new booking.
+// Records that are not mentioned - such as other bookings - are left alone.
+function planDoseChanges(child, entries, booking) {
+  const plan = { creates: [], updates: [], deletes: [] };
+
+  const upsert = (existing, values) => {
+    if (!existing) {
+      plan.creates.push({
+        childId: child.id,
+        childUid: child.uid,
+        dateGiven: '',
+        batchNumber: '',
+        placeGiven: '',
+        remarks: '',
+        nextVisit: '',
+        overrideReason: '',
+        overrideWarnings: '',
+        ...values
+      });
+    } else if (Object.keys(values).some(field => (existing[field] || '') !== (values[field] || ''))) {
+      plan.updates.push({ before: existing, record: { ...existing, ...values } });
+    }
+  };
+
+  entries.forEach(entry => {
+    const { vaccine, dateGiven, batchNumber, placeGiven, remarks, overrideReason, overrideWarnings } = entry;
+    const dose = child.vaccinations.find(v => v.vaccine === vaccine && !isBooking(v));
+
+    if (dateGiven || batchNumber || placeGiven || remarks) {
+      upsert(dose, {
+        vaccine,
+        dateGiven,
+        batchNumber,
+        placeGiven,
+        remarks,
+        overrideReason: overrideReason || '',
+        overrideWarnings: overrideWarnings || '',
+        status: dateGiven ? 'completed' : 'pending'
+      });
+    } else if (dose) {
+      // The row was cleared
+      plan.deletes.push(dose);
+    }
+
+    // Giving the dose fulfils its booking
+    const booked = child.vaccinations.find(v => v.vaccine === vaccine && isBooking(v));
+    if (dateGiven && booked && !(booking && booking.vaccines.includes(vaccine))) {
+      plan.deletes.push(booked);
+    }
+  });
+
+  if (booking) {
+    booking.vaccines.forEach(vaccine => {
+      const booked = child.vaccinations.find(v => v.vaccine === vaccine && isBooking(v));
+      upsert(booked, { vaccine, nextVisit: booking.date, status: 'scheduled' });
+    });
+  }
+
+  return plan;
+}
+
+// Save Immunization Data
+async function saveImmunization(bookNextVisit = false, nextVisitDate = null, nextVisitVaccines = []) {
+  if (!requirePermission('recordDoses')) return;
+  const child = children[selectedChildIndex];
+  const childKey = `${child.regNo}-${child.name}`;
+  const rows = document.querySelectorAll('#immunizationTable tbody tr');
+
+  // Validate mandatory fields
+  let isValid = true;
+  rows.forEach(row => {
+    const dateGiven = row.querySelector('.dateGiven').value;
+    const batchNumber = row.querySelector('.batchNumber').value;
+    const placeGiven = row.querySelector('.placeGiven').value;
+    const remarks = row.querySelector('.remarks').value;
+
+    if (dateGiven && (!batchNumber || !placeGiven || !remarks)) {
+      isValid = false;
+      showNotification('Batch Number, Place Given, and Remarks are mandatory when Date Given is selected.', 'error');
+    }
+  });
+
+  if (!isValid || !checkImmunizationEntries()) return;
+
+  try {
+    // Warnings overridden with a reason are kept with the dose
+    const doseIssues = validateImmunizationRows();
+    const entries = Array.from(rows).map(row => {
+      const warnings = doseIssues[row.dataset.vaccine].map(issue => issue.message);
+      const overrideReason = warnings.length > 0 ? row.querySelector('.overrideReason').value.trim() : '';
+      return {
+        vaccine: row.dataset.vaccine,
+        dateGiven: row.querySelector('.dateGiven').value,
+        batchNumber: row.querySelector('.batchNumber').value,
+        placeGiven: row.querySelector('.placeGiven').value,
+        remarks: row.querySelector('.remarks').value,
+        overrideReason,
+        overrideWarnings: overrideReason ? warnings.join(' ') : ''
+      };
+    });
+    const booking = bookNextVisit && nextVisitDate && nextVisitVaccines.length > 0
+      ? { date: nextVisitDate, vaccines: nextVisitVaccines }
+      : null;
+    const plan = planDoseChanges(child, entries, booking);
+
+    // Apply every change or none of them
+    const saved = await db.transaction('rw', [db.children, db.vaccinations, db.outbox, db.auditLog, db.stockLedger], async () => {
+      await applyDoseChanges(plan);
+
+      // Update defaulter status based on the saved doses and bookings
+      const updated = { ...child, vaccinations: await db.vaccinations.where('childId').equals(child.id).toArray() };
+      updateDefaulterStatus(updated);
+      await db.children.update(child.id, { isDefaulter: updated.isDefaulter });
+      return updated;
+    });
+    scheduleSync();
+    
+    // Update the local child data
+    child.vaccinations = saved.vaccinations;
+    child.isDefaulter = saved.isDefaulter;
+    await loadInventory();
+
+    // Clear unsaved dates for this child
+    if (unsavedVaccinations[childKey]) {
+      delete unsavedVaccinations[childKey];
+    }
+    
+    closeModal();
+    closeBookingModal();
+    refreshChildViews(child);
+    showNotification('Immunization data saved successfully!', 'success');
+  } catch (error) {
+    console.error('Error saving immunization data:', error);
+    showNotification('Error saving immunization data. No changes were saved.', 'error');
+  }
+}
+
+// Save the changes planned by planDoseChanges. Call inside a transaction over
+// vaccinations, outbox, auditLog and stockLedger.
+async function applyDoseChanges(plan) {
+  const contentFields = syncedFields.vaccinations
+    .filter(field => !recordIdentityFields.includes(field) && !recordOperatorFields.includes(field));
+
+  for (const record of plan.creates) {
+    assignRecordIdentity(record);
+    recordOperator(record, true);
+    stampRecord(record, syncedFields.vaccinations);
+    record.id = await db.vaccinations.add(record);
+    await queueChange('vaccinations', record);
+    await auditChange('vaccinations', 'create', null, record);
+    await updateDoseStock(record);
+  }
+
+  for (const { before, record } of plan.updates) {
+    const changedFields = contentFields.filter(field => (before[field] || '') !== (record[field] || ''));
+    record.updatedAt = new Date();
+    recordOperator(record);
+    stampRecord(record, [...changedFields, 'updatedAt', 'updatedBy']);
+    await db.vaccinations.put(record);
+    await queueChange('vaccinations', record);
+    await auditChange('vaccinations', 'update', before, record);
+    await updateDoseStock(record);
+  }
+
+  for (const record of plan.deletes) {
+    await db.vaccinations.delete(record.id);
+    if (record.uid) {
+      await queueChange('vaccinations', stampRecord({ ...record, _deleted: true }, ['_deleted']));
+    }
+    await auditChange('vaccinations', 'delete', record, null);
+    await updateDoseStock(record, true);
+  }
+}
+
+// Update Defaulter Status
+function updateDefaulterStatus(child) {
+  const today = new Date();
+  child.isDefaulter = getDueVaccines(child).some(due => new Date(due.dueDate) < today);
+}
+
+// Close Modal
+function closeModal() {
+  const modal = document.getElementById('immunizationModal');
+  modal.style.display = 'none';
+}
+
+// Close View Records Modal
+function closeViewRecordsModal() {
+  const modal = document.getElementById('viewRecordsModal');
+  modal.style.display = 'none';
+}
+
+// Close Help Modal
+function closeHelpModal() {
+  const modal = document.getElementById('helpModal');
+  modal.style.display = 'none';
+}
+
+// Close Today's Appointments Modal
+function closeTodayAppointmentsModal() {
+  const modal = document.getElementById('todayAppointmentsModal');
+  modal.style.display = 'none';
+}
+
+// Delete Child
+async function deleteChild(index) {
+  if (!requirePermission('deleteChildren')) return;
+  if (confirm('Are you sure you want to delete this child and all their vaccination records?')) {
+    const child = children[index];
+    
+    try {
+      await createSnapshot('before-delete', `${child.name} (${child.regNo})`);
+      
+      // Delete child and associated vaccinations
+      const attempts = getTracingAttempts(child);
+      await db.transaction('rw', [db.children, db.vaccinations, db.tracing, db.outbox, db.auditLog, db.stockLedger], async () => {
+        await db.vaccinations.where('childId').equals(child.id).delete();
+        await db.tracing.where('childUid').equals(child.uid).delete();
+        await db.children.delete(child.id);
+        
+        // Tell other devices about the deletion
+        for (const record of child.vaccinations.filter(v => v.uid)) {
+          await queueChange('vaccinations', stampRecord({ ...record, _deleted: true }, ['_deleted']));
+        }
+        for (const attempt of attempts) {
+          await queueChange('tracing', stampRecord({ ...attempt, _deleted: true }, ['_deleted']));
+        }
+        if (child.uid) {
+          await queueChange('children', stampRecord({ ...child, _deleted: true }, ['_deleted']));
+        }
+        await appendAudit([
+          ...attempts.map(attempt => createAuditEntry('tracing', 'delete', attempt, null)),
+          ...child.vaccinations.map(record => createAuditEntry('vaccinations', 'delete', record, null)),
+          createAuditEntry('children', 'delete', child, null)
+        ]);
+        for (const record of child.vaccinations) {
+          await updateDoseStock(record, true);
+        }
+      });
+      await loadInventory();
+      scheduleSync();
+      
+      children.splice(index, 1);
+      tracingLog.delete(child.uid);
+      refreshChildViews(child);
+      showNotification('Child deleted successfully.', 'success');
+    } catch (error) {
+      console.error('Error deleting child:', error);
+      showNotification('Error deleting child. Please try again.', 'error');
+    }
+  }
+}
+
+// Register filter inputs, saved together as a filter preset
+const registerFilterFields = [
+  'search', 'statusFilter', 'overdueFilter', 'filterSex', 'filterDobFrom', 'filterDobTo', 'filterRegYear',
+  'filterAddress', 'filterDefaulter', 'filterMissing', 'filterVisitFrom', 'filterVisitTo'
+];
+
+// Lower-case a name and smooth out common spelling variants: accents,
+// doubled letters and "ph" for "f" (Philomena / Filomena, Mensah / Mensa)
+function searchableName(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z\s]/g, ' ')
+    .replace(/ph/g, 'f')
+    .replace(/(.)\1+/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Edit distance between two strings
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Whether every word typed matches a word of the name: as its start, or
+// within one letter (two for longer words) to allow for spelling variants
+function nameMatches(name, searchTerm) {
+  const nameWords = searchableName(name).split(' ');
+  return searchableName(searchTerm).split(' ').filter(Boolean).every(term =>
+    nameWords.some(word => {
+      if (word.startsWith(term)) return true;
+      const allowed = term.length < 4 ? 0 : term.length < 7 ? 1 : 2;
+      return levenshtein(word.slice(0, term.length + allowed), term) <= allowed ||
+        levenshtein(word, term) <= allowed;
+    })
+  );
+}
+
+// Year a child was registered: from the "number/year" regNo, or when the record was created
+function registrationYear(child) {
+  const match = /\/(\d{4})$/.exec(child.regNo || '');
+  if (match) return match[1];
+  return child.createdAt ? new Date(child.createdAt).getFullYear().toString() : '';
+}
+
+// Current values of the register filters
+function readRegisterFilters() {
+  return Object.fromEntries(registerFilterFields.map(field => [field, document.getElementById(field).value]));
+}
+
+// Children matching the register filters, in the chosen sort order
+function getFilteredChildren() {
+  const filters = readRegisterFilters();
+  const searchTerm = filters.search.trim();
+  const address = filters.filterAddress.trim().toLowerCase();
+  const needsStatus = filters.statusFilter || filters.overdueFilter || filters.filterDefaulter || filters.filterMissing;
+
+  const filteredChildren = children.filter(child => {
+    if (searchTerm && !child.regNo.toLowerCase().includes(searchTerm.toLowerCase()) && !nameMatches(child.name, searchTerm) &&
+      !nameMatches(motherNameOf(child), searchTerm)) return false;
+    if (filters.filterSex && child.sex !== filters.filterSex) return false;
+    if (filters.filterDobFrom && child.dob < filters.filterDobFrom) return false;
+    if (filters.filterDobTo && child.dob > filters.filterDobTo) return false;
+    if (filters.filterRegYear && registrationYear(child) !== filters.filterRegYear) return false;
+    if (address && !(child.address || '').toLowerCase().includes(address)) return false;
+
+    if (filters.filterVisitFrom || filters.filterVisitTo) {
+      const booked = child.vaccinations.some(v => v.nextVisit && !v.dateGiven &&
+        (!filters.filterVisitFrom || v.nextVisit >= filters.filterVisitFrom) &&
+        (!filters.filterVisitTo || v.nextVisit <= filters.filterVisitTo));
+      if (!booked) return false;
+    }
+
+    if (!needsStatus) return true;
+    const { status, overdue, missing, expired } = getChildView(child).status;
+    if (filters.statusFilter === 'overdue' && overdue.length === 0) return false;
+    if (filters.statusFilter && filters.statusFilter !== 'overdue' && status !== filters.statusFilter) return false;
+    if (filters.overdueFilter && !overdue.includes(filters.overdueFilter)) return false;
+    if (filters.filterDefaulter === 'yes' && overdue.length === 0) return false;
+    if (filters.filterDefaulter === 'no' && overdue.length > 0) return false;
+    return !filters.filterMissing || missing.includes(filters.filterMissing) || expired.includes(filters.filterMissing) ||
+      overdue.includes(filters.filterMissing);
+  });
+
+  return sortChildren(filteredChildren);
+}
+
+// Sort children by the register column chosen, keeping register order otherwise
+function sortChildren(list) {
+  if (!registerSort) return list;
+  const { field, direction } = registerSort;
+  const sortValue = child => {
+    if (field === 'regNo') {
+      const [number, year] = (child.regNo || '').split('/');
+      return `${year || ''}/${String(parseInt(number, 10) || 0).padStart(8, '0')}`;
+    }
+    if (field === 'status') return childStatusClasses[getChildView(child).status.status].label;
+    return String(child[field] || '').toLowerCase();
+  };
+  const sorted = [...list].sort((a, b) => sortValue(a).localeCompare(sortValue(b)));
+  return direction === 'desc' ? sorted.reverse() : sorted;
+}
+
+// Sort the register by a column; clicking the same column again reverses it
+function sortRegister(field) {
+  registerSort = registerSort && registerSort.field === field
+    ? { field, direction: registerSort.direction === 'asc' ? 'desc' : 'asc' }
+    : { field, direction: 'asc' };
+  document.querySelectorAll('#childTable th[data-sort]').forEach(header => {
+    header.classList.toggle('sort-asc', header.dataset.sort === field && registerSort.direction === 'asc');
+    header.classList.toggle('sort-desc', header.dataset.sort === field && registerSort.direction === 'desc');
+  });
+  updateChildTable();
+}
+
+// Filter Children
+function filterChildren() {
+  tablePages.childTable = 0;
+  updateChildTable();
+}
+
+// Clear every register filter
+function clearRegisterFilters() {
+  registerFilterFields.forEach(field => { document.getElementById(field).value = ''; });
+  document.getElementById('filterPreset').value = '';
+  filterChildren();
+}
+
+// Load saved filter presets
+async function loadFilterPresets() {
+  const setting = await db.settings.get('registerFilterPresets');
+  filterPresets = setting && Array.isArray(setting.value) ? setting.value : [];
+  renderFilterPresets();
+}
+
+function renderFilterPresets() {
+  const select = document.getElementById('filterPreset');
+  select.innerHTML = '<option value="">Saved filters…</option>' +
+    filterPresets.map((preset, index) => `<option value="${index}">${preset.name}</option>`).join('');
+}
+
+// Apply a saved filter preset
+function applyFilterPreset() {
+  const preset = filterPresets[document.getElementById('filterPreset').value];
+  if (!preset) return;
+  registerFilterFields.forEach(field => { document.getElementById(field).value = preset.filters[field] || ''; });
+  filterChildren();
+}
+
+// Save the current filters as a preset, replacing one of the same name
+async function saveFilterPreset() {
+  const name = (prompt('Name for these filters (e.g. "Penta3 defaulters, Zone A"):') || '').trim();
+  if (!name) return;
+
+  const preset = { name, filters: readRegisterFilters() };
+  const presets = filterPresets.filter(item => item.name !== name).concat(preset)
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  try {
+    await db.settings.put({ id: 'registerFilterPresets', value: presets });
+    filterPresets = presets;
+    renderFilterPresets();
+    document.getElementById('filterPreset').value = filterPresets.indexOf(preset);
+    showNotification(`Filters saved as "${name}".`, 'success');
+  } catch (error) {
+    console.error('Error saving filter preset:', error);
+    showNotification('Error saving filters. Please try again.', 'error');
+  }
+}
+
+// Delete the selected filter preset
+async function deleteFilterPreset() {
+  const preset = filterPresets[document.getElementById('filterPreset').value];
+  if (!preset || !confirm(`Delete the saved filters "${preset.name}"?`)) return;
+
+  try {
+    const presets = filterPresets.filter(item => item !== preset);
+    await db.settings.put({ id: 'registerFilterPresets', value: presets });
+    filterPresets = presets;
+    renderFilterPresets();
+    showNotification('Saved filters deleted.', 'success');
+  } catch (error) {
+    console.error('Error deleting filter preset:', error);
+    showNotification('Error deleting saved filters. Please try again.', 'error');
+  }
+}
+
+// ===== Duplicate children =====
+// Two records are scored on how alike their name, date of birth, sex, contact
+// and address are. Scores run from 0 to 1; pairs at or above
+// DUPLICATE_THRESHOLD are shown as possible duplicates.
+const DUPLICATE_THRESHOLD = 0.6;
+const LIKELY_DUPLICATE_THRESHOLD = 0.8;
+
+// Name with spaces, hyphens and spelling variants removed ("Abdul-Rahman" = "Abdulrahman")
+function compactName(name) {
+  return searchableName(name || '').replace(/ /g, '');
+}
+
+// How alike two names are, 0-1, ignoring word order
+function nameSimilarity(a, b) {
+  const similarity = (x, y) => (x || y ? 1 - levenshtein(x, y) / Math.max(x.length, y.length) : 0);
+  const sortedWords = name => searchableName(name || '').split(' ').sort().join('');
+  return Math.max(similarity(compactName(a), compactName(b)), similarity(sortedWords(a), sortedWords(b)));
+}
+
+// Last nine digits of a phone number, so "024 412 3456" matches "+233244123456"
+function phoneKey(contact) {
+  return String(contact || '').replace(/\D/g, '').slice(-9);
+}
+
+// Mother's name of a child (from their household) or of registration details
+function motherNameOf(record) {
+  if (record.motherName !== undefined) return record.motherName;
+  const household = getHousehold(record);
+  return household ? household.motherName : '';
+}
+
+// Score how likely two children are the same child, with the reasons
+function duplicateScore(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const names = nameSimilarity(a.name, b.name);
+  score += 0.45 * names;
+  if (names >= 0.85) reasons.push(names === 1 ? 'Same name' : 'Similar name');
+
+  if (a.dob && b.dob) {
+    const days = Math.abs(daysBetween(a.dob, b.dob));
+    const [, monthA, dayA] = a.dob.split('-');
+    const [, monthB, dayB] = b.dob.split('-');
+    if (days === 0) {
+      score += 0.25;
+      reasons.push('Same date of birth');
+    } else if (days <= 7 || (a.dob.slice(0, 4) === b.dob.slice(0, 4) && monthA === dayB && dayA === monthB)) {
+      score += 0.15;
+      reasons.push('Date of birth close or day and month swapped');
+    } else if (days <= 31) {
+      score += 0.05;
+    }
+  }
+
+  if (a.sex && b.sex) {
+    if (a.sex === b.sex) {
+      score += 0.1;
+    } else {
+      score -= 0.2;
+    }
+  }
+
+  if (phoneKey(a.contact) && phoneKey(a.contact) === phoneKey(b.contact)) {
+    score += 0.15;
+    reasons.push('Same contact number');
+  }
+
+  if (a.address && b.address && a.address.trim().toLowerCase() === b.address.trim().toLowerCase()) {
+    score += 0.05;
+    reasons.push('Same address');
+  }
+
+  // Siblings share a mother, so the same mother is weak evidence; a different one is strong
+  const motherA = motherNameOf(a);
+  const motherB = motherNameOf(b);
+  if (motherA && motherB) {
+    const mothers = nameSimilarity(motherA, motherB);
+    if (mothers >= 0.85) {
+      score += 0.05;
+      reasons.push('Same mother');
+    } else if (mothers < 0.6) {
+      score -= 0.2;
+    }
+  }
+
+  return { score: Math.max(0, Math.min(1, Math.round(score * 100) / 100)), reasons };
+}
+
+// Registered children that may be the same as the given details, most likely first
+function findPossibleDuplicates(details, exclude = null) {
+  return children
+    .filter(child => child !== exclude)
+    .map(child => ({ child, ...duplicateScore(details, child) }))
+    .filter(match => match.score >= DUPLICATE_THRESHOLD)
+    .sort((a, b) => b.score - a.score);
+}
+
+// Every pair of possible duplicates in the register. Only children sharing a
+// birth month, contact number or start of name are compared, which keeps this
+// fast on large registers.
+function findDuplicatePairs() {
+  const blocks = new Map();
+  const addToBlock = (key, child) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(child);
+  };
+  children.forEach(child => {
+    if (child.dob) addToBlock(`dob:${child.dob.slice(0, 7)}`, child);
+    if (phoneKey(child.contact)) addToBlock(`phone:${phoneKey(child.contact)}`, child);
+    addToBlock(`name:${compactName(child.name).slice(0, 3)}`, child);
+  });
+
+  const seen = new Set();
+  const pairs = [];
+  blocks.forEach(members => {
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        const key = [members[i].uid, members[j].uid].sort().join('|');
+        if (seen.has(key)) continue;
+        seen.add(key);
+        const match = duplicateScore(members[i], members[j]);
+        if (match.score >= DUPLICATE_THRESHOLD) pairs.push({ a: members[i], b: members[j], ...match });
+      }
+    }
+  });
+  return pairs.sort((a, b) => b.score - a.score);
+}
+
+function formatMatchScore(score) {
+  return `${Math.round(score * 100)}%${score >= LIKELY_DUPLICATE_THRESHOLD ? ' (likely)' : ''}`;
+}
+
+// Open Duplicate Warning Modal for a child about to be registered
+function openDuplicateModal(registration, duplicates) {
+  const { details } = registration;
+  pendingRegistration = registration;
+  document.getElementById('duplicateChildName').textContent = `${details.name}, born ${formatDate(details.dob)}`;
+  document.querySelector('#duplicateTable tbody').innerHTML = duplicates.map(match => `
+    <tr>
+      <td>${match.child.regNo}</td>
+      <td>${match.child.name}</td>
+      <td>${formatDate(match.child.dob)}</td>
+      <td>${match.child.sex}</td>
+      <td>${match.child.contact || 'N/A'}</td>
+      <td>${formatMatchScore(match.score)}</td>
+      <td>${match.reasons.join(', ')}</td>
+      <td><button onclick="openExistingDuplicate(${children.indexOf(match.child)})">💉 Open</button></td>
+    </tr>
+  `).join('');
+  document.getElementById('duplicateModal').style.display = 'flex';
+}
+
+// Close Duplicate Warning Modal
+function closeDuplicateModal() {
+  pendingRegistration = null;
+  document.getElementById('duplicateModal').style.display = 'none';
+}
+
+// The child is already registered: open their record instead
+function openExistingDuplicate(index) {
+  closeDuplicateModal();
+  document.getElementById('registrationForm').reset();
+  showSiblingHousehold();
+  openImmunizationModal(index);
+}
+
+// The child is a different child: register them anyway
+async function registerDespiteDuplicates() {
+  const registration = pendingRegistration;
+  closeDuplicateModal();
+  if (registration) await registerChild(registration);
+}
+
+// Open Merge Duplicates Modal with the possible duplicates in the register
+function openMergeModal() {
+  if (!requirePermission('deleteChildren')) return;
+  document.getElementById('mergeReview').style.display = 'none';
+  renderDuplicatePairs();
+  document.getElementById('mergeModal').style.display = 'flex';
+}
+
+// Close Merge Duplicates Modal
+function closeMergeModal() {
+  mergePair = null;
+  document.getElementById('mergeModal').style.display = 'none';
+}
+
+function renderDuplicatePairs() {
+  const pairs = findDuplicatePairs();
+  const tbody = document.querySelector('#duplicatePairsTable tbody');
+  if (pairs.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">No possible duplicates found</td></tr>';
+    return;
+  }
+  tbody.innerHTML = pairs.map(pair => `
+    <tr>
+      <td>${pair.a.regNo} ${pair.a.name}<br>${formatDate(pair.a.dob)}, ${pair.a.sex}</td>
+      <td>${pair.b.regNo} ${pair.b.name}<br>${formatDate(pair.b.dob)}, ${pair.b.sex}</td>
+      <td>${formatMatchScore(pair.score)}</td>
+      <td>${pair.reasons.join(', ')}</td>
+      <td><button onclick="reviewMerge('${pair.a.uid}', '${pair.b.uid}')">🔍 Review</button></td>
+    </tr>
+  `).join('');
+}
+
+// Show two children side by side to choose the details to keep. The child
+// registered first is kept by default; the other record is merged into it.
+function reviewMerge(uidA, uidB) {
+  const [keep, remove] = [uidA, uidB]
+    .map(uid => children.find(child => child.uid === uid))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  mergePair = { keep, remove };
+
+  document.getElementById('mergeKeepLabel').textContent = `${keep.regNo} (kept)`;
+  document.getElementById('mergeRemoveLabel').textContent = `${remove.regNo} (merged in)`;
+  document.querySelector('#mergeFieldsTable tbody').innerHTML = mergeChildFields.map(field => `
+    <tr>
+      <td>${field}</td>
+      <td><label><input type="radio" name="merge-${field}" value="keep" checked> ${keep[field] || ''}</label></td>
+      <td><label><input type="radio" name="merge-${field}" value="remove" ${keep[field] === remove[field] ? 'disabled' : ''}> ${remove[field] || ''}</label></td>
+    </tr>
+  `).join('');
+
+  const doses = child => child.vaccinations
+    .map(v => `${v.vaccine}: ${v.dateGiven ? formatDate(v.dateGiven) : `booked ${formatDate(v.nextVisit)}`}`)
+    .join('<br>') || 'None';
+  document.getElementById('mergeKeepDoses').innerHTML = doses(keep);
+  document.getElementById('mergeRemoveDoses').innerHTML = doses(remove);
+  document.getElementById('mergeReview').style.display = 'block';
+}
+
+// Merge the reviewed pair: the kept child takes the chosen details and every
+// dose of the other child it does not already have; the other child is deleted.
+async function mergeChildren() {
+  if (!requirePermission('deleteChildren') || !mergePair) return;
+  const { keep, remove } = mergePair;
+  if (!confirm(`Merge ${remove.name} (${remove.regNo}) into ${keep.name} (${keep.regNo})? ${remove.regNo} will be removed from the register.`)) return;
+
+  const changes = {};
+  mergeChildFields.forEach(field => {
+    const choice = document.querySelector(`input[name="merge-${field}"]:checked`);
+    if (choice && choice.value === 'remove') changes[field] = remove[field];
+  });
+  if (!keep.householdUid && remove.householdUid) changes.householdUid = remove.householdUid;
+
+  try {
+    await createSnapshot('before-merge', `${remove.regNo} into ${keep.regNo}`);
+
+    await db.transaction('rw', [db.children, db.vaccinations, db.tracing, db.outbox, db.auditLog, db.stockLedger], async () => {
+      const given = new Set(keep.vaccinations.filter(v => v.dateGiven).map(v => v.vaccine));
+      const booked = new Set(keep.vaccinations.filter(v => !v.dateGiven).map(v => v.vaccine));
+
+      for (const dose of remove.vaccinations) {
+        const duplicate = dose.dateGiven ? given.has(dose.vaccine) : given.has(dose.vaccine) || booked.has(dose.vaccine);
+        if (duplicate) {
+          // The kept child already has this dose or booking
+          await db.vaccinations.delete(dose.id);
+          await queueChange('vaccinations', stampRecord({ ...dose, _deleted: true }, ['_deleted']));
+          await auditChange('vaccinations', 'delete', dose, null, 'childMerge');
+          await updateDoseStock(dose, true);
+          continue;
+        }
+
+        const moved = stampRecord(recordOperator({ ...dose, childId: keep.id, childUid: keep.uid, updatedAt: new Date() }), ['childUid', 'updatedAt', 'updatedBy']);
+        await db.vaccinations.put(moved);
+        await queueChange('vaccinations', moved);
+        await auditChange('vaccinations', 'merge', dose, moved, 'childMerge');
+        if (dose.dateGiven) given.add(dose.vaccine);
+      }
+
+      for (const attempt of getTracingAttempts(remove)) {
+        const moved = stampRecord(recordOperator({ ...attempt, childUid: keep.uid, updatedAt: new Date() }), ['childUid', 'updatedAt', 'updatedBy']);
+        await db.tracing.put(moved);
+        await queueChange('tracing', moved);
+        await auditChange('tracing', 'merge', attempt, moved, 'childMerge');
+      }
+
+      // Drop bookings for doses the merged history shows as given
+      for (const booking of keep.vaccinations.filter(v => !v.dateGiven && given.has(v.vaccine))) {
+        await db.vaccinations.delete(booking.id);
+        await queueChange('vaccinations', stampRecord({ ...booking, _deleted: true }, ['_deleted']));
+        await auditChange('vaccinations', 'delete', booking, null, 'childMerge');
+      }
+
+      const before = { ...keep };
+      const merged = stampRecord(recordOperator({ ...keep, ...changes, updatedAt: new Date() }), [...Object.keys(changes), 'updatedAt', 'updatedBy']);
+      delete merged.vaccinations;
+      await db.children.put(merged);
+      await queueChange('children', merged);
+      await appendAudit([
+        createAuditEntry('children', 'merge', remove, merged, 'childMerge'),
+        createAuditEntry('children', 'update', before, merged, 'childMerge')
+      ]);
+
+      await db.children.delete(remove.id);
+      await queueChange('children', stampRecord({ ...remove, _deleted: true }, ['_deleted']));
+      await auditChange('children', 'delete', remove, null, 'childMerge');
+    });
+
+    scheduleSync();
+    await loadChildren();
+    await loadInventory();
+    refreshChildViews();
+    renderDuplicatePairs();
+    document.getElementById('mergeReview').style.display = 'none';
+    mergePair = null;
+    showNotification(`${remove.regNo} merged into ${keep.regNo}.`, 'success');
+  } catch (error) {
+    console.error('Error merging children:', error);
+    showNotification('Error merging the children. No changes were saved.', 'error');
+  }
+}
+
+// Fill the vaccine filters from the schedule
+function updateOverdueFilterOptions() {
+  const select = document.getElementById('overdueFilter');
+  const selected = select.value;
+  select.innerHTML = '<option value="">Overdue for any vaccine or none</option>' +
+    vaccinationSchedule.map(rule => `<option value="${rule.id}">Overdue for ${rule.id}</option>`).join('');
+  select.value = selected;
+
+  const missingSelect = document.getElementById('filterMissing');
+  const missingSelected = missingSelect.value;
+  missingSelect.innerHTML = '<option value="">Any vaccines</option>' +
+    vaccinationSchedule.map(rule => `<option value="${rule.id}">Missing ${rule.id}</option>`).join('');
+  missingSelect.value = missingSelected;
+}
+
+// Export to CSV
+function exportToCSV() {
+  const headers = ["Reg No.", "Name", "Vaccine", "Date Given", "Next Visit", "Status"];
+  const data = [];
+
+  // Add all vaccination records to CSV
+  children.forEach(child => {
+    child.vaccinations.forEach(vaccination => {
+      const today = new Date();
+      let status = 'Upcoming';
+      
+      if (vaccination.dateGiven) {
+        status = 'Completed';
+      } else if (vaccination.nextVisit) {
+        const nextVisitDate = new Date(vaccination.nextVisit);
+        if (nextVisitDate < today) {
+          const daysOverdue = Math.floor((today - nextVisitDate) / (1000 * 60 * 60 * 24));
+          status = `Overdue (${daysOverdue} days)`;
+        } else {
+          const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
+          status = `Due in ${daysUntil} days`;
+        }
+      }
+
+      data.push([
+        child.regNo,
+        child.name,
+        vaccination.vaccine,
+        formatDate(vaccination.dateGiven) || 'N/A',
+        formatDate(vaccination.nextVisit) || 'N/A',
+        status
+      ]);
+    });
+  });
+
+  const csvContent = "data:text/csv;charset=utf-8," +
+    [headers, ...data].map(row => row.join(",")).join("\n");
+  const encodedUri = encodeURI(csvContent);
+  const link = document.createElement("a");
+  link.setAttribute("href", encodedUri);
+  link.setAttribute("download", `immunization_records_${new Date().toISOString().split('T')[0]}.csv`);
+  document.body.appendChild(link);
+  link.click();
+  showNotification('CSV exported successfully!', 'success');
+}
+
+// Print Records
+function printRecords() {
+  // Print every row, not just the page on screen
+  printAllPages = true;
+  Object.values(pagedTables).forEach(render => render());
+  window.print();
+  printAllPages = false;
+  Object.values(pagedTables).forEach(render => render());
+}
+
+// Backup file format. Bump BACKUP_FORMAT_VERSION and add an entry to
+// backupMigrations whenever the shape of a backup changes.
+const APP_VERSION = '2.1.0';
+const BACKUP_FORMAT = 'immunization-tracker-backup';
+const BACKUP_FORMAT_VERSION = 3;
+
+// Each migration upgrades a backup from the version it is keyed by to the next
+const backupMigrations = {
+  // Version 1 is the original unversioned { children, vaccinations, facility, backupDate } file
+  1: backup => ({
+    format: BACKUP_FORMAT,
+    formatVersion: 2,
+    appVersion: 'unknown',
+    createdAt: backup.backupDate || null,
+    deviceId: null,
+    facility: Array.isArray(backup.facility) && backup.facility[0] ? backup.facility[0].name : '',
+    counts: {
+      children: Array.isArray(backup.children) ? backup.children.length : 0,
+      vaccinations: Array.isArray(backup.vaccinations) ? backup.vaccinations.length : 0
+    },
+    checksum: null,
+    data: {
+      children: backup.children,
+      // Backups taken before the structured schedule store display strings
+      vaccinations: Array.isArray(backup.vaccinations)
+        ? backup.vaccinations.map(v => ({ ...v, vaccine: legacyVaccineId(v.vaccine) }))
+        : backup.vaccinations,
+      facility: backup.facility || []
+    }
+  }),
+  // Version 3 adds lots, stockLedger, sessions, households and tracing. Version 2
+  // files that lack them keep lacking them, so restoring one leaves the current
+  // stock alone; the data itself is unchanged and its checksum still holds.
+  2: backup => ({ ...backup, formatVersion: 3 })
+};
+
+// SHA-256 of the backup data as hex, or null where WebCrypto is unavailable
+async function computeChecksum(data) {
+  if (!crypto.subtle) return null;
+  const bytes = new TextEncoder().encode(JSON.stringify(data));
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Build a backup of the whole register in the current format
+async function createBackupEnvelope() {
+  const data = {
+    children: await db.children.toArray(),
+    vaccinations: await db.vaccinations.toArray(),
+    facility: await db.facility.toArray(),
+    lots: await db.lots.toArray(),
+    stockLedger: await db.stockLedger.toArray(),
+    sessions: await db.sessions.toArray(),
+    households: await db.households.toArray(),
+    tracing: await db.tracing.toArray()
+  };
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: BACKUP_FORMAT_VERSION,
+    appVersion: APP_VERSION,
+    createdAt: new Date().toISOString(),
+    deviceId,
+    facility: facilityName,
+    counts: { children: data.children.length, vaccinations: data.vaccinations.length },
+    checksum: { algorithm: 'SHA-256', value: await computeChecksum(data) },
+    data
+  };
+}
+
+// Download text as a file
+function downloadFile(content, fileName, type) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Backup Data
+async function backupData() {
+  if (!requirePermission('restoreData')) return;
+  try {
+    const backup = await createBackupEnvelope();
+    
+    const data = JSON.stringify(backup, null, 2);
+    downloadFile(data, `immunization_backup_${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+    showNotification('Backup downloaded successfully!', 'success');
+  } catch (error) {
+    console.error('Error creating backup:', error);
+    showNotification('Error creating backup. Please try again.', 'error');
+  }
+}
+
+// Encrypted backups (.itbackup): the backup JSON encrypted with AES-GCM
+// under a key derived from the user's passphrase with PBKDF2.
+const ENCRYPTED_BACKUP_FORMAT = 'immunization-tracker-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const PBKDF2_ITERATIONS = 310000;
+const MIN_PASSPHRASE_LENGTH = 8;
+
+function bytesToBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+// Derive an AES-GCM key from a passphrase
+async function deriveBackupKey(passphrase, salt, iterations) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+// Encrypt backup text with a passphrase
+async function encryptBackup(text, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveBackupKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+
+  return {
+    format: ENCRYPTED_BACKUP_FORMAT,
+    version: ENCRYPTED_BACKUP_VERSION,
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+    cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+    ciphertext: bytesToBase64(new Uint8Array(ciphertext))
+  };
+}
+
+// Decrypt an encrypted backup. Throws if the passphrase is wrong or the file was altered.
+async function decryptBackup(encrypted, passphrase) {
+  const key = await deriveBackupKey(passphrase, base64ToBytes(encrypted.kdf.salt), encrypted.kdf.iterations);
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: base64ToBytes(encrypted.cipher.iv) },
+    key,
+    base64ToBytes(encrypted.ciphertext)
+  );
+  return new TextDecoder().decode(plaintext);
+}
+
+// The parsed encrypted backup if the text is one, otherwise null
+function parseEncryptedBackup(text) {
+  try {
+    const parsed = JSON.parse(text);
+    return parsed && parsed.format === ENCRYPTED_BACKUP_FORMAT ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Open Passphrase Modal - 'encrypt' asks for the passphrase twice
+function openPassphraseModal(mode) {
+  if (mode === 'encrypt' && !requirePermission('restoreData')) return;
+  if (!crypto.subtle) {
+    showNotification('Encrypted backups need a secure (https) connection to the app.', 'error');
+    return;
+  }
+
+  passphraseMode = mode;
+  const encrypting = mode === 'encrypt';
+  document.getElementById('passphraseTitle').textContent = encrypting ? '🔒 Encrypted Backup' : '🔓 Open Encrypted Backup';
+  document.getElementById('passphraseHint').textContent = encrypting
+    ? `Choose a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters. The backup cannot be opened without it, so keep it somewhere safe.`
+    : 'This backup is encrypted. Enter the passphrase it was created with.';
+  document.getElementById('passphraseConfirmGroup').style.display = encrypting ? 'block' : 'none';
+  document.getElementById('backupPassphrase').value = '';
+  document.getElementById('backupPassphraseConfirm').value = '';
+  document.getElementById('passphraseModal').style.display = 'flex';
+}
+
+// Close Passphrase Modal
+function closePassphraseModal() {
+  document.getElementById('passphraseModal').style.display = 'none';
+  document.getElementById('backupPassphrase').value = '';
+  document.getElementById('backupPassphraseConfirm').value = '';
+  pendingEncryptedBackup = null;
+}
+
+// Create an encrypted backup, or open one, with the entered passphrase
+async function submitPassphrase() {
+  const passphrase = document.getElementById('backupPassphrase').value;
+
+  if (passphraseMode === 'encrypt') {
+    if (!requirePermission('restoreData')) return;
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      showNotification(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`, 'error');
+      return;
+    }
+    if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+      showNotification('The passphrases do not match.', 'error');
+      return;
+    }
+
+    try {
+      const backup = await createBackupEnvelope();
+      const encrypted = await encryptBackup(JSON.stringify(backup), passphrase);
+      downloadFile(JSON.stringify(encrypted), `immunization_backup_${new Date().toISOString().split('T')[0]}.itbackup`, 'application/octet-stream');
+      closePassphraseModal();
+      showNotification('Encrypted backup downloaded successfully!', 'success');
+    } catch (error) {
+      console.error('Error creating encrypted backup:', error);
+      showNotification('Error creating encrypted backup. Please try again.', 'error');
+    }
+    return;
+  }
+
+  try {
+    const text = await decryptBackup(pendingEncryptedBackup, passphrase);
+    closePassphraseModal();
+    await openBackupForImport(text);
+  } catch (error) {
+    console.error('Error decrypting backup:', error);
+    showNotification('Incorrect passphrase, or the file is damaged.', 'error');
+  }
+}
+
+// Format version of a parsed backup file, or null if it is not a backup
+function detectBackupVersion(backup) {
+  if (!backup || typeof backup !== 'object') return null;
+  if (backup.format === BACKUP_FORMAT) return Number(backup.formatVersion) || null;
+  if ('children' in backup && 'vaccinations' in backup) return 1;
+  return null;
+}
+
+// True for a YYYY-MM-DD (optionally with time) string that is a real date
+function isValidDateString(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value) && !isNaN(Date.parse(value));
+}
+
+// True when text from outside this device (a card, the sync server) could be
+// read as markup where the register shows it. Looks inside lists and objects.
+function containsMarkup(value) {
+  if (typeof value === 'string') return /[<>"]/.test(value);
+  if (value && typeof value === 'object') return Object.values(value).some(containsMarkup);
+  return false;
+}
+
+// Field-level checks of backup data. Returns a list of problems; empty when valid.
+function validateBackupData(data) {
+  const errors = [];
+  const today = new Date().toISOString().split('T')[0];
+
+  if (!Array.isArray(data.children)) errors.push('The backup has no list of children.');
+  if (!Array.isArray(data.vaccinations)) errors.push('The backup has no list of vaccination records.');
+  if (data.facility !== undefined && !Array.isArray(data.facility)) errors.push('Facility information is not a list.');
+  if (data.lots !== undefined && !Array.isArray(data.lots)) errors.push('Vaccine lots are not a list.');
+  if (data.stockLedger !== undefined && !Array.isArray(data.stockLedger)) errors.push('The stock ledger is not a list.');
+  if (data.sessions !== undefined && !Array.isArray(data.sessions)) errors.push('Immunization sessions are not a list.');
+  if (data.households !== undefined && !Array.isArray(data.households)) errors.push('Households are not a list.');
+  if (data.tracing !== undefined && !Array.isArray(data.tracing)) errors.push('Defaulter tracing records are not a list.');
+  if (errors.length > 0) return errors;
+
+  const childrenById = new Map();
+  const uids = new Set();
+  data.children.forEach((child, index) => {
+    const label = `Child ${index + 1}${child && child.name ? ` (${child.name})` : ''}`;
+    if (!child || typeof child !== 'object') {
+      errors.push(`${label}: not a valid record.`);
+      return;
+    }
+    if (child.id === undefined || child.id === null) {
+      errors.push(`${label}: missing id.`);
+    } else if (childrenById.has(child.id)) {
+      errors.push(`${label}: id ${child.id} is used by more than one child.`);
+    } else {
+      childrenById.set(child.id, child);
+    }
+    if (child.uid) {
+      if (uids.has(child.uid)) errors.push(`${label}: uid ${child.uid} is used by more than one child.`);
+      uids.add(child.uid);
+    }
+    if (typeof child.name !== 'string' || !child.name.trim()) errors.push(`${label}: missing name.`);
+    if (typeof child.regNo !== 'string' || !child.regNo.trim()) errors.push(`${label}: missing registration number.`);
+    if (!isValidDateString(child.dob)) {
+      errors.push(`${label}: date of birth "${child.dob}" is not a valid date.`);
+    } else if (child.dob > today) {
+      errors.push(`${label}: date of birth ${child.dob} is in the future.`);
+    }
+    if (!['Male', 'Female'].includes(child.sex)) errors.push(`${label}: sex must be Male or Female, found "${child.sex}".`);
+  });
+
+  const vaccinationUids = new Set();
+  data.vaccinations.forEach((vaccination, index) => {
+    const label = `Vaccination record ${index + 1}${vaccination && vaccination.vaccine ? ` (${vaccination.vaccine})` : ''}`;
+    if (!vaccination || typeof vaccination !== 'object') {
+      errors.push(`${label}: not a valid record.`);
+      return;
+    }
+    const child = childrenById.get(vaccination.childId);
+    if (!child) errors.push(`${label}: refers to child id ${vaccination.childId}, which is not in the backup.`);
+    if (typeof vaccination.vaccine !== 'string' || !vaccination.vaccine.trim()) errors.push(`${label}: missing vaccine.`);
+    if (vaccination.uid) {
+      if (vaccinationUids.has(vaccination.uid)) errors.push(`${label}: uid ${vaccination.uid} is used by more than one record.`);
+      vaccinationUids.add(vaccination.uid);
+    }
+    if (vaccination.dateGiven) {
+      if (!isValidDateString(vaccination.dateGiven)) {
+        errors.push(`${label}: date given "${vaccination.dateGiven}" is not a valid date.`);
+      } else if (child && isValidDateString(child.dob) && vaccination.dateGiven < child.dob) {
+        errors.push(`${label}: given on ${vaccination.dateGiven}, before the child's date of birth.`);
+      }
+    }
+    if (vaccination.nextVisit && !isValidDateString(vaccination.nextVisit)) {
+      errors.push(`${label}: next visit "${vaccination.nextVisit}" is not a valid date.`);
+    }
+    if (vaccination.status && !['completed', 'pending', 'scheduled'].includes(vaccination.status)) {
+      errors.push(`${label}: unknown status "${vaccination.status}".`);
+    }
+  });
+
+  // The other sections: each item must be a record, with a uid used only once
+  const checkRecords = (records, name, check) => {
+    const seen = new Set();
+    (records || []).forEach((record, index) => {
+      const label = `${name} ${index + 1}`;
+      if (!record || typeof record !== 'object') {
+        errors.push(`${label}: not a valid record.`);
+        return;
+      }
+      if (record.uid) {
+        if (seen.has(record.uid)) errors.push(`${label}: uid ${record.uid} is used by more than one record.`);
+        seen.add(record.uid);
+      }
+      check(record, label);
+    });
+    return seen;
+  };
+
+  const householdUids = checkRecords(data.households, 'Household', (household, label) => {
+    if (household.phones !== undefined && !(Array.isArray(household.phones) && household.phones.every(phone => typeof phone === 'string'))) {
+      errors.push(`${label}: phone numbers are not a list.`);
+    }
+  });
+  if (data.households) {
+    data.children.forEach((child, index) => {
+      if (child && child.householdUid && !householdUids.has(child.householdUid)) {
+        errors.push(`Child ${index + 1}${child.name ? ` (${child.name})` : ''}: refers to household ${child.householdUid}, which is not in the backup.`);
+      }
+    });
+  }
+
+  const childUids = new Set(data.children.filter(child => child && child.uid).map(child => child.uid));
+  checkRecords(data.tracing, 'Tracing attempt', (attempt, label) => {
+    if (!childUids.has(attempt.childUid)) errors.push(`${label}: refers to child ${attempt.childUid}, which is not in the backup.`);
+    if (!isValidDateString(attempt.date)) errors.push(`${label}: date "${attempt.date}" is not a valid date.`);
+    if (!(attempt.method in tracingMethods)) errors.push(`${label}: unknown method "${attempt.method}".`);
+    if (!(attempt.outcome in tracingOutcomes)) errors.push(`${label}: unknown outcome "${attempt.outcome}".`);
+    if (attempt.newVisitDate && !isValidDateString(attempt.newVisitDate)) {
+      errors.push(`${label}: new visit date "${attempt.newVisitDate}" is not a valid date.`);
+    }
+  });
+
+  const lotUids = checkRecords(data.lots, 'Vaccine lot', (lot, label) => {
+    if (!lot.uid) errors.push(`${label}: missing uid.`);
+    if (typeof lot.antigen !== 'string' || !lot.antigen.trim()) errors.push(`${label}: missing antigen.`);
+    if (typeof lot.batchNumber !== 'string' || !lot.batchNumber.trim()) errors.push(`${label}: missing batch number.`);
+    if (!isValidDateString(lot.expiryDate)) errors.push(`${label}: expiry date "${lot.expiryDate}" is not a valid date.`);
+    if (!Number.isInteger(lot.dosesPerVial) || lot.dosesPerVial < 1) errors.push(`${label}: doses per vial must be a whole number of at least 1.`);
+  });
+  checkRecords(data.stockLedger, 'Stock ledger entry', (entry, label) => {
+    if (!lotUids.has(entry.lotUid)) errors.push(`${label}: refers to lot ${entry.lotUid}, which is not in the backup.`);
+    if (!(entry.type in stockEntryTypes)) errors.push(`${label}: unknown type "${entry.type}".`);
+    if (!Number.isInteger(entry.quantity)) errors.push(`${label}: quantity "${entry.quantity}" is not a whole number.`);
+    if (!isValidDateString(entry.date)) errors.push(`${label}: date "${entry.date}" is not a valid date.`);
+  });
+
+  const sessionDates = new Set();
+  checkRecords(data.sessions, 'Session', (session, label) => {
+    if (!isValidDateString(session.date)) {
+      errors.push(`${label}: date "${session.date}" is not a valid date.`);
+    } else if (sessionDates.has(session.date)) {
+      errors.push(`${label}: there is more than one session on ${session.date}.`);
+    }
+    sessionDates.add(session.date);
+    if (!['open', 'closed'].includes(session.status)) errors.push(`${label}: unknown status "${session.status}".`);
+    if (!Array.isArray(session.vials) || !session.vials.every(item => item && lotUids.has(item.lotUid) && Number.isInteger(item.vials))) {
+      errors.push(`${label}: the vials opened do not match the lots in the backup.`);
+    }
+  });
+
+  return errors;
+}
+
+// Parse, upgrade and check a backup file.
+// Returns { backup, errors, warnings }; backup is in the current format when errors is empty.
+async function readBackup(text) {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch (error) {
+    return { backup: null, errors: ['The file is not valid JSON. It may be damaged or not a backup file.'], warnings: [] };
+  }
+
+  let version = detectBackupVersion(backup);
+  if (!version) {
+    return { backup: null, errors: ['The file is not an Immunization Tracker backup.'], warnings: [] };
+  }
+  if (version > BACKUP_FORMAT_VERSION) {
+    return { backup: null, errors: [`The backup was made by a newer version of the app (format ${version}). Please update the app first.`], warnings: [] };
+  }
+
+  const warnings = [];
+  while (version < BACKUP_FORMAT_VERSION) {
+    backup = backupMigrations[version](backup);
+    version = backup.formatVersion;
+  }
+
+  if (!backup.data || typeof backup.data !== 'object') {
+    return { backup: null, errors: ['The backup has no data section.'], warnings };
+  }
+
+  const errors = [];
+  if (backup.checksum && backup.checksum.value) {
+    const checksum = await computeChecksum(backup.data);
+    if (checksum === null) {
+      warnings.push('The checksum could not be verified on this device.');
+    } else if (checksum !== backup.checksum.value) {
+      errors.push('The checksum does not match. The file was changed or damaged after it was created.');
+    }
+  } else {
+    warnings.push('This backup has no checksum, so it cannot be checked for damage.');
+  }
+
+  errors.push(...validateBackupData(backup.data));
+
+  if (errors.length === 0 && backup.counts) {
+    if (backup.counts.children !== backup.data.children.length) {
+      errors.push(`The backup should contain ${backup.counts.children} children but contains ${backup.data.children.length}.`);
+    }
+    if (backup.counts.vaccinations !== backup.data.vaccinations.length) {
+      errors.push(`The backup should contain ${backup.counts.vaccinations} vaccination records but contains ${backup.data.vaccinations.length}.`);
+    }
+  }
+
+  return { backup, errors, warnings };
+}
+
+// Restore Data - read the file, then let the user choose merge or replace
+document.getElementById('restoreFile').addEventListener('change', async function (e) {
+  const file = e.target.files[0];
+  if (file && requirePermission('restoreData')) {
+    const reader = new FileReader();
+    reader.onload = async function (event) {
+      try {
+        const text = event.target.result;
+        
+        // Encrypted backups are opened once the passphrase is entered
+        const encrypted = parseEncryptedBackup(text);
+        if (encrypted) {
+          openPassphraseModal('decrypt');
+          pendingEncryptedBackup = encrypted;
+          return;
+        }
+        
+        await openBackupForImport(text);
+      } catch (error) {
+        console.error('Error reading backup:', error);
+        showNotification('Invalid backup file. Please upload a valid JSON file.', 'error');
+      }
+    };
+    reader.readAsText(file);
+  }
+  // Allow the same file to be chosen again
+  e.target.value = '';
+});
+
+// Check a backup file's text and show the import choices for it
+async function openBackupForImport(text) {
+  const { backup, errors, warnings } = await readBackup(text);
+  pendingImport = { backup, data: backup && backup.data, errors, warnings, plan: null };
+  openImportModal();
+}
+
+// Open Import Modal with the backup's summary and the import choices
+function openImportModal() {
+  const { backup, errors, warnings } = pendingImport;
+  const problems = document.getElementById('importErrors');
+  problems.innerHTML = [
+    ...errors.map(error => `<li class="highlight-red">${error}</li>`),
+    ...warnings.map(warning => `<li class="highlight-yellow">${warning}</li>`)
+  ].join('');
+
+  if (errors.length > 0) {
+    document.getElementById('importSummary').textContent =
+      `This backup cannot be imported. ${errors.length} problem(s) were found:`;
+  } else {
+    const backupDate = backup.createdAt ? formatDate(backup.createdAt) : 'unknown date';
+    document.getElementById('importSummary').textContent =
+      `Backup of ${backup.facility || 'unnamed facility'} from ${backupDate} (app version ${backup.appVersion}): ` +
+      `${backup.data.children.length} children, ${backup.data.vaccinations.length} vaccination records.`;
+  }
+
+  document.getElementById('importActions').style.display = errors.length > 0 ? 'none' : 'block';
+  document.getElementById('importPreview').innerHTML = '';
+  document.getElementById('applyMergeButton').style.display = 'none';
+  document.getElementById('importModal').style.display = 'flex';
+}
+
+// Close Import Modal
+function closeImportModal() {
+  document.getElementById('importModal').style.display = 'none';
+  pendingImport = null;
+}
+
+// Replace all current data with the backup
+async function replaceWithBackup() {
+  if (!requirePermission('restoreData')) return;
+  const { backup, data } = pendingImport;
+  if (!confirm(`This will replace all current data with backup data from ${backup.createdAt ? new Date(backup.createdAt).toLocaleDateString() : 'unknown date'}.${restoreSyncWarning()} Continue?`)) {
+    return;
+  }
+
+  try {
+    await createSnapshot('before-restore');
+    await replaceRegister(data, backup.createdAt);
+    
+    closeImportModal();
+    
+    // Reload the app
+    await initApp();
+    showNotification('Data restored successfully!', 'success');
+  } catch (error) {
+    console.error('Error restoring data:', error);
+    showNotification('Error restoring data. Your current data has not been changed.', 'error');
+  }
+}
+
+// What a restore does to other devices, for the restore confirmation
+function restoreSyncWarning() {
+  if (!isSyncConfigured()) return '';
+  return '\n\nSync is set up: every synced device will get the restored data, and changes that this device ' +
+    'has received since the backup was taken will be undone there too. Changes made on other devices after the ' +
+    'backup that have not reached this device yet are kept.';
+}
+
+// Replace the register with the given backup data and queue it for sync.
+// takenAt is when the backup was made. Everything happens in one transaction,
+// so a failure leaves the data as it was.
+async function replaceRegister(data, takenAt) {
+  const backupTime = new Date(takenAt || 0).getTime() || 0;
+  const tables = [db.children, db.vaccinations, db.households, db.tracing, db.facility, db.outbox, db.auditLog,
+    db.lots, db.stockLedger, db.sessions, db.settings];
+  await db.transaction('rw', tables, async () => {
+    // What this device knew of each record, so the restored versions follow it
+    const previousVectors = new Map();
+    for (const table of ['households', 'children', 'vaccinations', 'tracing']) {
+      (await db[table].toArray()).forEach(record => {
+        if (record._sync) previousVectors.set(`${table}|${record.uid}`, record._sync.vector);
+      });
+    }
+    const restamp = (table, record) => stampRestoredRecord(record, syncedFields[table], previousVectors.get(`${table}|${record.uid}`), backupTime);
+
+    await auditClearedRegister('restore');
+    await db.children.clear();
+    await db.vaccinations.clear();
+    await db.households.clear();
+    await db.tracing.clear();
+    await db.facility.clear();
+    await db.outbox.clear();
+    
+    // Import new data. Records get new local ids; their uid is kept
+    // (or assigned, for older backups) and links vaccinations to children.
+    const childIds = {};
+    const childUids = {};
+    for (const household of data.households || []) {
+      delete household.id;
+      restamp('households', assignRecordIdentity(household));
+      await db.households.add(household);
+      await auditChange('households', 'create', null, household, 'restore');
+    }
+    for (const child of data.children) {
+      const backupId = child.id;
+      delete child.id;
+      restamp('children', assignRecordIdentity(child));
+      childIds[backupId] = await db.children.add(child);
+      childUids[backupId] = child.uid;
+      await auditChange('children', 'create', null, child, 'restore');
+    }
+    for (const vaccination of data.vaccinations) {
+      if (!(vaccination.childId in childIds)) continue;
+      delete vaccination.id;
+      vaccination.childUid = vaccination.childUid || childUids[vaccination.childId];
+      vaccination.childId = childIds[vaccination.childId];
+      restamp('vaccinations', assignRecordIdentity(vaccination));
+      await db.vaccinations.add(vaccination);
+      await auditChange('vaccinations', 'create', null, vaccination, 'restore');
+    }
+    for (const attempt of data.tracing || []) {
+      delete attempt.id;
+      restamp('tracing', assignRecordIdentity(attempt));
+      await db.tracing.add(attempt);
+      await auditChange('tracing', 'create', null, attempt, 'restore');
+    }
+    if (data.facility) await db.facility.bulkAdd(data.facility);
+
+    // Backups from before the stock module have no inventory; keep the current one
+    if (data.lots && data.stockLedger) {
+      await db.lots.clear();
+      await db.stockLedger.clear();
+      await db.sessions.clear();
+      await db.lots.bulkAdd(data.lots.map(({ id, ...lot }) => lot));
+      await db.stockLedger.bulkAdd(data.stockLedger.map(({ id, ...entry }) => entry));
+      await db.sessions.bulkAdd((data.sessions || []).map(({ id, ...session }) => session));
+    }
+
+    // Send the restored register to the sync server on the next sync
+    await resetSyncCursor();
+    await queueAllRecords();
+  });
+}
+
+// Child fields compared when merging a backup
+const mergeChildFields = ['name', 'dob', 'sex', 'address', 'contact'];
+
+// Normalise a name for matching: case, spacing and punctuation are ignored
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Find the local child a backup child refers to: the same record (uid),
+// the same registration number and DOB, or the same name and DOB
+function findMatchingChild(backupChild) {
+  return children.find(child => backupChild.uid && child.uid === backupChild.uid) ||
+    children.find(child => child.regNo === backupChild.regNo && child.dob === backupChild.dob) ||
+    children.find(child => normalizeName(child.name) === normalizeName(backupChild.name) && child.dob === backupChild.dob);
+}
+
+// Describe everything a merge would change, without changing anything
+function buildMergePlan(data) {
+  const plan = { newChildren: [], matchedChildren: [], unchangedChildren: 0 };
+  const backupVaccinations = {};
+  data.vaccinations.forEach(v => {
+    (backupVaccinations[v.childId] = backupVaccinations[v.childId] || []).push(v);
+  });
+
+  data.children.forEach(backupChild => {
+    const vaccinations = backupVaccinations[backupChild.id] || [];
+    const local = findMatchingChild(backupChild);
+
+    if (!local) {
+      plan.newChildren.push({ backup: backupChild, vaccinations });
+      return;
+    }
+
+    // Changed fields default to whichever record was updated last
+    const backupIsNewer = new Date(backupChild.updatedAt || 0) > new Date(local.updatedAt || 0);
+    const fieldConflicts = mergeChildFields
+      .filter(field => backupChild[field] && backupChild[field] !== local[field])
+      .map(field => ({ field, current: local[field], incoming: backupChild[field], useBackup: backupIsNewer }));
+
+    const newDoses = [];
+    const doseConflicts = [];
+    vaccinations.forEach(backupDose => {
+      const isBooking = !backupDose.dateGiven;
+      const localDose = local.vaccinations.find(v => v.vaccine === backupDose.vaccine && Boolean(v.dateGiven) === !isBooking);
+
+      if (isBooking) {
+        // Bookings only fill gaps; a given dose or existing booking is kept
+        const hasRecord = local.vaccinations.some(v => v.vaccine === backupDose.vaccine && (v.dateGiven || v.nextVisit));
+        if (backupDose.nextVisit && !hasRecord) newDoses.push(backupDose);
+      } else if (!localDose) {
+        newDoses.push(backupDose);
+      } else if (['dateGiven', 'batchNumber', 'placeGiven', 'remarks'].some(field => backupDose[field] && backupDose[field] !== localDose[field])) {
+        doseConflicts.push({ vaccine: backupDose.vaccine, local: localDose, backup: backupDose, useBackup: false });
+      }
+    });
+
+    if (fieldConflicts.length || newDoses.length || doseConflicts.length) {
+      plan.matchedChildren.push({ local, backup: backupChild, fieldConflicts, newDoses, doseConflicts });
+    } else {
+      plan.unchangedChildren++;
+    }
+  });
+
+  return plan;
+}
+
+// Show the merge plan with a choice for every conflict
+function previewMerge() {
+  const plan = buildMergePlan(pendingImport.data);
+  pendingImport.plan = plan;
+
+  const conflictCount = plan.matchedChildren.reduce((sum, item) => sum + item.fieldConflicts.length + item.doseConflicts.length, 0);
+  const newDoseCount = plan.matchedChildren.reduce((sum, item) => sum + item.newDoses.length, 0);
+  const choice = (name, useBackup) => `
+    <label><input type="radio" name="${name}" value="current" ${useBackup ? '' : 'checked'}> Current</label>
+    <label><input type="radio" name="${name}" value="backup" ${useBackup ? 'checked' : ''}> Backup</label>
+  `;
+
+  let html = `
+    <p><strong>${plan.newChildren.length}</strong> new children, <strong>${plan.matchedChildren.length}</strong> existing children with changes,
+    <strong>${newDoseCount}</strong> new vaccination records, <strong>${conflictCount}</strong> conflicts to resolve,
+    ${plan.unchangedChildren} children already up to date.</p>
+  `;
+
+  if (plan.newChildren.length > 0) {
+    html += `
+      <h3>New Children</h3>
+      <table>
+        <thead><tr><th>Reg No.</th><th>Name</th><th>DOB</th><th>Vaccination Records</th></tr></thead>
+        <tbody>
+          ${plan.newChildren.map(item => `
+            <tr>
+              <td>${item.backup.regNo}${children.some(c => c.regNo === item.backup.regNo) ? ' (new number will be assigned)' : ''}</td>
+              <td>${item.backup.name}</td>
+              <td>${formatDate(item.backup.dob)}</td>
+              <td>${item.vaccinations.length}</td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  if (plan.matchedChildren.length > 0) {
+    html += `
+      <h3>Changes to Existing Children</h3>
+      <table>
+        <thead><tr><th>Child</th><th>Item</th><th>Current</th><th>Backup</th><th>Keep</th></tr></thead>
+        <tbody>
+    `;
+    plan.matchedChildren.forEach((item, childIndex) => {
+      const childLabel = `${item.local.regNo} - ${item.local.name}`;
+      item.fieldConflicts.forEach(conflict => {
+        html += `
+          <tr class="highlight-yellow">
+            <td>${childLabel}</td>
+            <td>${conflict.field}</td>
+            <td>${conflict.field === 'dob' ? formatDate(conflict.current) : conflict.current || 'N/A'}</td>
+            <td>${conflict.field === 'dob' ? formatDate(conflict.incoming) : conflict.incoming}</td>
+            <td>${choice(`merge-${childIndex}-field-${conflict.field}`, conflict.useBackup)}</td>
+          </tr>
+        `;
+      });
+      item.doseConflicts.forEach((conflict, doseIndex) => {
+        html += `
+          <tr class="highlight-red">
+            <td>${childLabel}</td>
+            <td>${conflict.vaccine}</td>
+            <td>${formatDate(conflict.local.dateGiven)} · ${conflict.local.batchNumber || 'N/A'}</td>
+            <td>${formatDate(conflict.backup.dateGiven)} · ${conflict.backup.batchNumber || 'N/A'}</td>
+            <td>${choice(`merge-${childIndex}-dose-${doseIndex}`, conflict.useBackup)}</td>
+          </tr>
+        `;
+      });
+      item.newDoses.forEach(dose => {
+        html += `
+          <tr>
+            <td>${childLabel}</td>
+            <td>${dose.vaccine}</td>
+            <td>None</td>
+            <td>${dose.dateGiven ? `Given ${formatDate(dose.dateGiven)}` : `Booked ${formatDate(dose.nextVisit)}`}</td>
+            <td>Added</td>
+          </tr>
+        `;
+      });
+    });
+    html += '</tbody></table>';
+  }
+
+  document.getElementById('importPreview').innerHTML = html;
+  document.getElementById('applyMergeButton').style.display =
+    plan.newChildren.length || plan.matchedChildren.length ? 'inline-block' : 'none';
+}
+
+// Read the user's choice for one conflict from the preview
+function mergeChoiceIsBackup(name) {
+  const selected = document.querySelector(`input[name="${name}"]:checked`);
+  return selected ? selected.value === 'backup' : false;
+}
+
+// Add a vaccination record from the backup to a local child
+async function addMergedVaccination(backupDose, child) {
+  const record = { ...backupDose, childId: child.id, childUid: child.uid };
+  delete record.id;
+  delete record._sync;
+  // A uid already used locally belongs to another record
+  if (record.uid && await db.vaccinations.where('uid').equals(record.uid).count()) delete record.uid;
+  assignRecordIdentity(record);
+  recordOperator(record, true);
+  stampRecord(record, syncedFields.vaccinations);
+  record.id = await db.vaccinations.add(record);
+  await queueChange('vaccinations', record);
+  await auditChange('vaccinations', 'create', null, record, 'merge');
+}
+
+// Apply the previewed merge with the chosen resolutions
+async function applyMerge() {
+  const plan = pendingImport && pendingImport.plan;
+  if (!plan || !requirePermission('restoreData')) return;
+
+  if (!confirm('Apply the merge to the register? Current records are only changed where you chose the backup.')) {
+    return;
+  }
+
+  try {
+    await createSnapshot('before-import');
+    await db.transaction('rw', [db.households, db.children, db.vaccinations, db.tracing, db.outbox, db.auditLog], async () => {
+      // Households of new children come with them, unless already here
+      const newHouseholdUids = new Set(plan.newChildren.map(item => item.backup.householdUid).filter(Boolean));
+      for (const backupHousehold of pendingImport.data.households || []) {
+        if (!newHouseholdUids.has(backupHousehold.uid) || households.has(backupHousehold.uid)) continue;
+        const household = { ...backupHousehold };
+        delete household.id;
+        delete household._sync;
+        assignRecordIdentity(household);
+        recordOperator(household, true);
+        stampRecord(household, syncedFields.households);
+        household.id = await db.households.add(household);
+        await queueChange('households', household);
+        await auditChange('households', 'create', null, household, 'merge');
+      }
+
+      for (const item of plan.newChildren) {
+        const child = { ...item.backup, isDefaulter: false };
+        delete child.id;
+        delete child._sync;
+        if (await db.children.where('regNo').equals(child.regNo).count()) {
+          child.regNo = await generateRegNo();
+        }
+        if (child.uid && await db.children.where('uid').equals(child.uid).count()) delete child.uid;
+        assignRecordIdentity(child);
+        recordOperator(child, true);
+        stampRecord(child, syncedFields.children);
+        child.id = await db.children.add(child);
+        await queueChange('children', child);
+        await auditChange('children', 'create', null, child, 'merge');
+
+        for (const dose of item.vaccinations) {
+          await addMergedVaccination(dose, child);
+        }
+        for (const backupAttempt of (pendingImport.data.tracing || []).filter(attempt => attempt.childUid === item.backup.uid)) {
+          const attempt = { ...backupAttempt, childUid: child.uid };
+          delete attempt.id;
+          delete attempt._sync;
+          if (await db.tracing.where('uid').equals(attempt.uid).count()) delete attempt.uid;
+          assignRecordIdentity(attempt);
+          recordOperator(attempt, true);
+          stampRecord(attempt, syncedFields.tracing);
+          attempt.id = await db.tracing.add(attempt);
+          await queueChange('tracing', attempt);
+          await auditChange('tracing', 'create', null, attempt, 'merge');
+        }
+      }
+
+      for (const [childIndex, item] of plan.matchedChildren.entries()) {
+        const child = item.local;
+
+        const changes = {};
+        item.fieldConflicts.forEach(conflict => {
+          if (mergeChoiceIsBackup(`merge-${childIndex}-field-${conflict.field}`)) {
+            changes[conflict.field] = conflict.incoming;
+          }
+        });
+        const changedFields = Object.keys(changes);
+        if (changedFields.length > 0) {
+          const before = { ...child };
+          changes.updatedAt = new Date();
+          changes.updatedBy = currentOperatorName();
+          Object.assign(child, changes);
+          stampRecord(child, [...changedFields, 'updatedAt', 'updatedBy']);
+          await db.children.update(child.id, { ...changes, _sync: child._sync });
+          await queueChange('children', child);
+          await auditChange('children', 'update', before, child, 'merge');
+        }
+
+        for (const [doseIndex, conflict] of item.doseConflicts.entries()) {
+          if (!mergeChoiceIsBackup(`merge-${childIndex}-dose-${doseIndex}`)) continue;
+          const record = conflict.local;
+          const doseChanges = {};
+          ['dateGiven', 'batchNumber', 'placeGiven', 'remarks'].forEach(field => {
+            if (conflict.backup[field]) doseChanges[field] = conflict.backup[field];
+          });
+          doseChanges.updatedAt = new Date();
+          doseChanges.updatedBy = currentOperatorName();
+          const before = { ...record };
+          Object.assign(record, doseChanges);
+          stampRecord(record, Object.keys(doseChanges));
+          await db.vaccinations.update(record.id, { ...doseChanges, _sync: record._sync });
+          await queueChange('vaccinations', record);
+          await auditChange('vaccinations', 'update', before, record, 'merge');
+        }
+
+        for (const dose of item.newDoses) {
+          // A dose given elsewhere replaces the local booking for it
+          if (dose.dateGiven) {
+            const booking = child.vaccinations.find(v => v.vaccine === dose.vaccine && !v.dateGiven);
+            if (booking) {
+              await db.vaccinations.delete(booking.id);
+              await queueChange('vaccinations', stampRecord({ ...booking, _deleted: true }, ['_deleted']));
+              await auditChange('vaccinations', 'delete', booking, null, 'merge');
+            }
+          }
+          await addMergedVaccination(dose, child);
+        }
+      }
+    });
+
+    closeImportModal();
+    await loadChildren();
+    refreshChildViews();
+    scheduleSync();
+    showNotification('Backup merged into the register successfully!', 'success');
+  } catch (error) {
+    console.error('Error merging backup:', error);
+    showNotification('Error merging backup. The register has not been changed.', 'error');
+    // Drop any in-memory changes made before the transaction failed
+    await loadChildren();
+  }
+}
+
+// Vaccine stock. Each lot is one batch of one antigen; its stock is the sum
+// of its ledger entries, in doses: receipts add, doses given subtract.
+const EXPIRY_ALERT_DAYS = 30;
+const OTHER_BATCH = '__other';
+const stockEntryTypes = {
+  received: 'Received',
+  issued: 'Dose given',
+  returned: 'Dose record removed',
+  wastage: 'Opened vial wastage',
+  adjustment: 'Adjustment'
+};
+
+// Load all lots and work out the stock on hand of each
+async function loadInventory() {
+  vaccineLots = await db.lots.toArray();
+  stockOnHand = {};
+  await db.stockLedger.each(entry => {
+    stockOnHand[entry.lotUid] = (stockOnHand[entry.lotUid] || 0) + entry.quantity;
+  });
+  updateStockButton();
+}
+
+// Antigen of a scheduled vaccine, which is what lots are recorded against
+function vaccineAntigen(vaccine) {
+  const rule = getScheduleEntry(vaccine);
+  return rule ? rule.antigen : vaccine;
+}
+
+// Lots of a vaccine's antigen that are in date and in stock
+function usableLots(vaccine, onDate = new Date().toISOString().split('T')[0]) {
+  const antigen = vaccineAntigen(vaccine);
+  return vaccineLots
+    .filter(lot => lot.antigen === antigen && lot.expiryDate >= onDate && (stockOnHand[lot.uid] || 0) > 0)
+    .sort((a, b) => a.expiryDate.localeCompare(b.expiryDate));
+}
+
+// The lot a dose was given from, if it is one of this facility's lots
+function findDoseLot(record) {
+  if (!record || !record.dateGiven || !record.batchNumber) return null;
+  const antigen = vaccineAntigen(record.vaccine);
+  return vaccineLots.find(lot => lot.antigen === antigen && lot.batchNumber === record.batchNumber) || null;
+}
+
+// Batch field of an immunization row: a picker of usable lots, earliest
+// expiry first, or free text for antigens that are not stocked here
+function renderBatchPicker(vaccine, current) {
+  const antigen = vaccineAntigen(vaccine);
+  if (!vaccineLots.some(lot => lot.antigen === antigen)) {
+    return `<input type="text" class="batchNumber" value="${current}" placeholder="Enter batch number" onchange="validateImmunizationRows()">`;
+  }
+
+  const lots = usableLots(vaccine);
+  const options = [`<option value="">${lots.length > 0 ? 'Select batch' : 'Out of stock'}</option>`];
+  lots.forEach(lot => {
+    options.push(`<option value="${lot.batchNumber}"${lot.batchNumber === current ? ' selected' : ''}>${lot.batchNumber} (exp. ${formatDate(lot.expiryDate)}, ${stockOnHand[lot.uid]} doses)</option>`);
+  });
+  if (current && !lots.some(lot => lot.batchNumber === current)) {
+    options.push(`<option value="${current}" selected>${current}</option>`);
+  }
+  options.push(`<option value="${OTHER_BATCH}">Other batch (not from our stock)…</option>`);
+  return `<select class="batchNumber" onchange="chooseBatch(this)">${options.join('')}</select>`;
+}
+
+// Ask for the batch number of a dose that did not come from this facility's stock
+function chooseBatch(select) {
+  if (select.value === OTHER_BATCH) {
+    const batchNumber = (prompt('Batch number of the dose (not from this facility\'s stock):') || '').trim();
+    if (batchNumber) {
+      const option = document.createElement('option');
+      option.value = batchNumber;
+      option.textContent = batchNumber;
+      select.insertBefore(option, select.lastElementChild);
+      select.value = batchNumber;
+    } else {
+      select.value = '';
+    }
+  }
+  validateImmunizationRows();
+}
+
+// Add an entry to the stock ledger
+function addLedgerEntry(lot, type, quantity, details = {}) {
+  return db.stockLedger.add({
+    lotUid: lot.uid,
+    antigen: lot.antigen,
+    batchNumber: lot.batchNumber,
+    type,
+    quantity,
+    date: details.date || new Date().toISOString().split('T')[0],
+    reason: details.reason || '',
+    vaccinationUid: details.vaccinationUid || '',
+    childUid: details.childUid || '',
+    operator: currentOperatorName(),
+    createdAt: new Date().toISOString()
+  });
+}
+
+// Keep the stock in line with a saved or deleted dose: a dose given from one of
+// our lots takes one dose from it, and moving or removing the dose gives it back.
+// Call inside the transaction that saves the dose.
+async function updateDoseStock(dose, deleted = false) {
+  const issued = {};
+  await db.stockLedger.where('vaccinationUid').equals(dose.uid).each(entry => {
+    issued[entry.lotUid] = (issued[entry.lotUid] || 0) - entry.quantity;
+  });
+  const issuedFrom = Object.keys(issued).find(lotUid => issued[lotUid] > 0);
+  const lot = deleted ? null : findDoseLot(dose);
+  if (lot && issuedFrom === lot.uid) return;
+
+  if (issuedFrom) {
+    const previousLot = vaccineLots.find(candidate => candidate.uid === issuedFrom);
+    if (previousLot) {
+      await addLedgerEntry(previousLot, 'returned', 1, { vaccinationUid: dose.uid, childUid: dose.childUid });
+    }
+  }
+  if (lot) {
+    await addLedgerEntry(lot, 'issued', -1, { vaccinationUid: dose.uid, childUid: dose.childUid, date: dose.dateGiven });
+  }
+}
+
+// Expired and expiring lots still in stock, and antigens with nothing usable left
+function getStockAlerts() {
+  const today = new Date().toISOString().split('T')[0];
+  const soon = addDays(today, EXPIRY_ALERT_DAYS);
+  const alerts = [];
+
+  vaccineLots.forEach(lot => {
+    const onHand = stockOnHand[lot.uid] || 0;
+    if (onHand <= 0) return;
+    if (lot.expiryDate < today) {
+      alerts.push({ severity: 'error', message: `${lot.antigen} batch ${lot.batchNumber} expired on ${formatDate(lot.expiryDate)} with ${onHand} doses left. Remove it from use.` });
+    } else if (lot.expiryDate <= soon) {
+      alerts.push({ severity: 'warning', message: `${lot.antigen} batch ${lot.batchNumber} expires on ${formatDate(lot.expiryDate)} (${onHand} doses left).` });
+    }
+  });
+
+  if (vaccineLots.length > 0) {
+    [...new Set(vaccinationSchedule.map(entry => entry.antigen))].forEach(antigen => {
+      const inStock = vaccineLots.some(lot => lot.antigen === antigen && lot.expiryDate >= today && (stockOnHand[lot.uid] || 0) > 0);
+      if (!inStock) alerts.push({ severity: 'error', message: `${antigen}: out of stock.` });
+    });
+  }
+
+  return alerts;
+}
+
+// Show the number of stock alerts on the Vaccine Stock button
+function updateStockButton() {
+  const alerts = getStockAlerts();
+  document.getElementById('stockButton').textContent = alerts.length > 0
+    ? `📦 Vaccine Stock (${alerts.length} ⚠️)`
+    : '📦 Vaccine Stock';
+}
+
+// Open Stock Modal
+function openStockModal() {
+  const antigens = [...new Set(vaccinationSchedule.map(entry => entry.antigen))];
+  document.getElementById('stockAntigen').innerHTML = antigens
+    .map(antigen => `<option value="${antigen}">${antigen}</option>`)
+    .join('');
+  document.getElementById('stockReceivedDate').value = new Date().toISOString().split('T')[0];
+  renderStock();
+  document.getElementById('stockModal').style.display = 'flex';
+}
+
+// Close Stock Modal
+function closeStockModal() {
+  document.getElementById('stockModal').style.display = 'none';
+}
+
+// Show stock alerts, stock on hand and the ledger
+function renderStock() {
+  document.getElementById('stockAlerts').innerHTML = getStockAlerts()
+    .map(alert => `<li class="${alert.severity === 'error' ? 'highlight-red' : 'highlight-yellow'}">${alert.message}</li>`)
+    .join('');
+
+  const tbody = document.querySelector('#stockTable tbody');
+  tbody.innerHTML = '';
+  const today = new Date().toISOString().split('T')[0];
+  const lots = [...vaccineLots].sort((a, b) => a.antigen.localeCompare(b.antigen) || a.expiryDate.localeCompare(b.expiryDate));
+
+  if (lots.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No vaccine lots received yet</td></tr>';
+  }
+  lots.forEach(lot => {
+    const row = document.createElement('tr');
+    if (lot.expiryDate < today) row.className = 'highlight-red';
+    row.innerHTML = `
+      <td>${lot.antigen}</td>
+      <td>${lot.batchNumber}</td>
+      <td>${lot.manufacturer || ''}</td>
+      <td>${formatDate(lot.expiryDate)}</td>
+      <td>${lot.dosesPerVial}</td>
+      <td>${stockOnHand[lot.uid] || 0}</td>
+      <td><button onclick="adjustStock('${lot.uid}')" class="secondary">✏️ Adjust</button></td>
+    `;
+    tbody.appendChild(row);
+  });
+
+  const ledgerLot = document.getElementById('ledgerLot');
+  const selected = ledgerLot.value;
+  ledgerLot.innerHTML = '<option value="">All lots</option>' + lots
+    .map(lot => `<option value="${lot.uid}">${lot.antigen} ${lot.batchNumber}</option>`)
+    .join('');
+  ledgerLot.value = selected;
+  renderStockLedger();
+}
+
+// Record a delivery of vaccine. A batch already on record gets the new vials added.
+async function receiveStock() {
+  if (!requirePermission('manageStock')) return;
+
+  const antigen = document.getElementById('stockAntigen').value;
+  const batchNumber = document.getElementById('stockBatch').value.trim();
+  const expiryDate = document.getElementById('stockExpiry').value;
+  const manufacturer = document.getElementById('stockManufacturer').value.trim();
+  const dosesPerVial = parseInt(document.getElementById('stockDosesPerVial').value, 10);
+  const vials = parseInt(document.getElementById('stockVials').value, 10);
+  const receivedDate = document.getElementById('stockReceivedDate').value;
+
+  if (!antigen || !batchNumber || !expiryDate || !receivedDate) {
+    showNotification('Antigen, batch number, expiry date and date received are required.', 'error');
+    return;
+  }
+  if (!(dosesPerVial >= 1) || !(vials >= 1)) {
+    showNotification('Doses per vial and vials received must be at least 1.', 'error');
+    return;
+  }
+
+  try {
+    let lot = vaccineLots.find(candidate => candidate.antigen === antigen && candidate.batchNumber === batchNumber);
+    if (lot && (lot.expiryDate !== expiryDate || lot.dosesPerVial !== dosesPerVial)) {
+      showNotification(`Batch ${batchNumber} is already recorded with expiry ${formatDate(lot.expiryDate)} and ${lot.dosesPerVial} doses per vial.`, 'error');
+      return;
+    }
+
+    await db.transaction('rw', db.lots, db.stockLedger, async () => {
+      if (!lot) {
+        lot = { uid: generateUid(), antigen, batchNumber, expiryDate, manufacturer, dosesPerVial, createdAt: new Date() };
+        lot.id = await db.lots.add(lot);
+      }
+      await addLedgerEntry(lot, 'received', vials * dosesPerVial, { date: receivedDate, reason: `${vials} vials received` });
+    });
+
+    ['stockBatch', 'stockExpiry', 'stockManufacturer', 'stockDosesPerVial', 'stockVials'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+    await loadInventory();
+    renderStock();
+    showNotification(`${vials * dosesPerVial} doses of ${antigen} added to stock.`, 'success');
+  } catch (error) {
+    console.error('Error receiving stock:', error);
+    showNotification('Error recording the delivery. Please try again.', 'error');
+  }
+}
+
+// Correct the stock of a lot after a physical count, damage or expiry
+async function adjustStock(lotUid) {
+  if (!requirePermission('manageStock')) return;
+
+  const lot = vaccineLots.find(candidate => candidate.uid === lotUid);
+  const change = parseInt(prompt(`Change in doses for ${lot.antigen} batch ${lot.batchNumber} (for example -10 for damaged vials, 5 after a count):`), 10);
+  if (!change) return;
+  const reason = (prompt('Reason for the adjustment:') || '').trim();
+  if (!reason) {
+    showNotification('A reason is required for stock adjustments.', 'error');
+    return;
+  }
+
+  try {
+    await addLedgerEntry(lot, 'adjustment', change, { reason });
+    await loadInventory();
+    renderStock();
+    showNotification('Stock adjusted.', 'success');
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    showNotification('Error adjusting stock. Please try again.', 'error');
+  }
+}
+
+// Ledger entries for the selected lot (or all lots) in the order they were
+// recorded, with the running balance of each lot
+async function getStockLedger(lotUid) {
+  const entries = lotUid
+    ? await db.stockLedger.where('lotUid').equals(lotUid).toArray()
+    : await db.stockLedger.toArray();
+  entries.sort((a, b) => a.id - b.id);
+
+  const balances = {};
+  const childNames = new Map(children.map(child => [child.uid, `${child.name} (${child.regNo})`]));
+  return entries.map(entry => {
+    balances[entry.lotUid] = (balances[entry.lotUid] || 0) + entry.quantity;
+    return {
+      ...entry,
+      balance: balances[entry.lotUid],
+      details: entry.childUid ? childNames.get(entry.childUid) || 'Deleted child' : entry.reason
+    };
+  });
+}
+
+// Show the stock ledger report
+async function renderStockLedger() {
+  const tbody = document.querySelector('#stockLedgerTable tbody');
+  const entries = await getStockLedger(document.getElementById('ledgerLot').value);
+  tbody.innerHTML = '';
+
+  entries.reverse().forEach(entry => {
+    const row = document.createElement('tr');
+    row.innerHTML = `
+      <td>${formatDate(entry.date)}</td>
+      <td>${entry.antigen}</td>
+      <td>${entry.batchNumber}</td>
+      <td>${stockEntryTypes[entry.type] || entry.type}</td>
+      <td>${entry.quantity > 0 ? '+' : ''}${entry.quantity}</td>
+      <td>${entry.balance}</td>
+      <td>${entry.details}</td>
+      <td>${entry.operator || ''}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+// Export the stock ledger report as CSV
+async function exportStockLedger() {
+  try {
+    const entries = await getStockLedger(document.getElementById('ledgerLot').value);
+    const csv = [
+      ['Date', 'Antigen', 'Batch', 'Type', 'Quantity', 'Balance', 'Details', 'Operator'],
+      ...entries.map(entry => [entry.date, entry.antigen, entry.batchNumber, stockEntryTypes[entry.type] || entry.type, entry.quantity, entry.balance, entry.details, entry.operator || ''])
+    ].map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(',')).join('\n');
+    downloadFile(csv, `stock_ledger_${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+  } catch (error) {
+    console.error('Error exporting stock ledger:', error);
+    showNotification('Error exporting stock ledger. Please try again.', 'error');
+  }
+}
+
+// Print a report in its own window, without the app around it
+function printReport(title, html, styles = '') {
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    showNotification('Please allow pop-ups to print reports.', 'error');
+    return;
+  }
+  printWindow.document.write(`<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="UTF-8">
+  <title>${title}</title>
+  <style>
+    body { font-family: Arial, sans-serif; font-size: 12px; margin: 15px; }
+    h1, h2, h3 { margin: 6px 0; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 12px; }
+    th, td { border: 1px solid #000; padding: 4px; text-align: center; }
+    td:first-child { text-align: left; }
+    ${styles}
+  </style>
+</head>
+<body>
+  ${html}
+</body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+// Child health cards. The card follows the layout of the national child health
+// record and carries a QR code with a summary of the child's doses, so another
+// facility can read the record without this register. The summary is signed
+// with an ECDSA key kept on this device. The public key travels in the QR code,
+// but a card only counts as verified when that key is this device's own or one
+// the in-charge has added to the trusted keys in Sync Settings; anyone can make
+// a key, so a key is never trusted because the card carries it. Lost cards are
+// reprinted from the register.
+const CARD_CODE_PREFIX = 'ITCARD1';
+const CARD_SIGNING_ALGORITHM = { name: 'ECDSA', namedCurve: 'P-256' };
+const CARD_SIGNATURE_ALGORITHM = { name: 'ECDSA', hash: 'SHA-256' };
+
+const childCardStyles = `
+    .card { max-width: 190mm; margin: 0 auto; border: 2px solid #000; padding: 10px; }
+    .card-header { text-align: center; border-bottom: 2px solid #000; margin-bottom: 8px; }
+    .card-details th { background: #e9ecef; text-align: left; width: 18%; }
+    .card-details td { text-align: left; }
+    .card-doses td:nth-child(2) { text-align: left; }
+    .card-footer { display: flex; justify-content: space-between; align-items: flex-start; gap: 12px; }
+    .card-qr { width: 55mm; height: 55mm; flex-shrink: 0; }
+    .card-issued { color: #6c757d; font-size: 10px; }
+`;
+
+// This device's card signing key, created on first use
+async function getCardSigningKey() {
+  if (cardSigningKey) return cardSigningKey;
+
+  const saved = await db.settings.get('cardSigningKey');
+  let keys;
+  if (saved) {
+    keys = {
+      privateKey: await crypto.subtle.importKey('jwk', saved.value.privateKey, CARD_SIGNING_ALGORITHM, false, ['sign']),
+      publicKey: await crypto.subtle.importKey('jwk', saved.value.publicKey, CARD_SIGNING_ALGORITHM, true, ['verify'])
+    };
+  } else {
+    keys = await crypto.subtle.generateKey(CARD_SIGNING_ALGORITHM, true, ['sign', 'verify']);
+    await db.settings.put({
+      id: 'cardSigningKey',
+      value: {
+        privateKey: await crypto.subtle.exportKey('jwk', keys.privateKey),
+        publicKey: await crypto.subtle.exportKey('jwk', keys.publicKey),
+        createdAt: new Date().toISOString()
+      }
+    });
+  }
+
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', keys.publicKey));
+  cardSigningKey = { privateKey: keys.privateKey, publicKey, fingerprint: await keyFingerprint(publicKey) };
+  return cardSigningKey;
+}
+
+// Load the keys of other clinics whose cards this device trusts
+async function loadTrustedCardKeys() {
+  const setting = await db.settings.get('trustedCardKeys');
+  trustedCardKeys = setting && Array.isArray(setting.value) ? setting.value : [];
+}
+
+// Who signed a card with this key: this device, a trusted clinic, or null when
+// the key is unknown
+async function cardKeySigner(fingerprint) {
+  const ownKey = await getCardSigningKey();
+  if (fingerprint === ownKey.fingerprint) return 'this device';
+  const trusted = trustedCardKeys.find(key => key.fingerprint === fingerprint);
+  return trusted ? trusted.facility : null;
+}
+
+// Show this device's key and the trusted keys in Sync Settings
+async function renderCardKeys() {
+  const ownKey = await getCardSigningKey();
+  document.getElementById('cardKeyFingerprint').textContent = ownKey.fingerprint;
+  document.getElementById('cardKeyText').value = bytesToBase64(ownKey.publicKey);
+
+  const tbody = document.querySelector('#trustedKeysTable tbody');
+  if (trustedCardKeys.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="4" style="text-align: center;">No other clinic\'s key is trusted yet</td></tr>';
+    return;
+  }
+  tbody.innerHTML = trustedCardKeys.map((key, index) => `
+    <tr>
+      <td>${key.facility}</td>
+      <td>${key.fingerprint}</td>
+      <td>${formatDate(key.addedAt)}${key.addedBy ? ` by ${key.addedBy}` : ''}</td>
+      <td><button onclick="removeTrustedCardKey(${index})" class="danger">🗑️ Remove</button></td>
+    </tr>
+  `).join('');
+}
+
+// Trust another clinic's card key, pasted as the text shown in their Sync Settings
+async function addTrustedCardKey() {
+  if (!requirePermission('manageSettings')) return;
+  const facility = document.getElementById('trustedKeyFacility').value.trim();
+  const publicKey = document.getElementById('trustedKeyText').value.replace(/\s+/g, '');
+  if (!facility || !publicKey) {
+    showNotification('Enter the clinic\'s name and its card key.', 'error');
+    return;
+  }
+
+  let fingerprint;
+  try {
+    const bytes = base64ToBytes(publicKey);
+    await crypto.subtle.importKey('raw', bytes, CARD_SIGNING_ALGORITHM, false, ['verify']);
+    fingerprint = await keyFingerprint(bytes);
+  } catch (error) {
+    showNotification('This is not a valid card key. Copy the whole key from the other clinic\'s Sync Settings.', 'error');
+    return;
+  }
+  if (await cardKeySigner(fingerprint)) {
+    showNotification(`Key ${fingerprint} is already trusted.`, 'info');
+    return;
+  }
+
+  try {
+    const keys = [...trustedCardKeys, { facility, publicKey, fingerprint, addedAt: new Date().toISOString(), addedBy: currentOperatorName() }];
+    await db.settings.put({ id: 'trustedCardKeys', value: keys });
+    trustedCardKeys = keys;
+    document.getElementById('trustedKeyFacility').value = '';
+    document.getElementById('trustedKeyText').value = '';
+    await renderCardKeys();
+    showNotification(`Cards signed by ${facility} (key ${fingerprint}) will now be verified.`, 'success');
+  } catch (error) {
+    console.error('Error saving trusted key:', error);
+    showNotification('Error saving the trusted key', 'error');
+  }
+}
+
+// Stop trusting a clinic's card key
+async function removeTrustedCardKey(index) {
+  if (!requirePermission('manageSettings')) return;
+  const key = trustedCardKeys[index];
+  if (!key || !confirm(`Stop trusting cards signed by ${key.facility} (key ${key.fingerprint})?`)) return;
+
+  try {
+    const keys = trustedCardKeys.filter((_, i) => i !== index);
+    await db.settings.put({ id: 'trustedCardKeys', value: keys });
+    trustedCardKeys = keys;
+    await renderCardKeys();
+  } catch (error) {
+    console.error('Error removing trusted key:', error);
+    showNotification('Error removing the trusted key', 'error');
+  }
+}
+
+// Short fingerprint of a public key, e.g. "3F2A-91C0-7B4E", to compare by eye
+async function keyFingerprint(publicKey) {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', publicKey));
+  const hex = Array.from(digest.subarray(0, 6), byte => byte.toString(16).padStart(2, '0')).join('').toUpperCase();
+  return hex.match(/.{4}/g).join('-');
+}
+
+// The next visit a child should come for: the earliest date a vaccine is due or booked
+function getNextAppointment(child) {
+  const due = getChildView(child).due;
+  if (due.length === 0) return null;
+  const date = due[0].dueDate;
+  return { date, vaccines: due.filter(item => item.dueDate === date).map(formatDueVaccine) };
+}
+
+// Summary of a child's record carried in the card's QR code. Keys are kept to
+// one letter and doses are given as [vaccine, age in days, batch] so the code
+// stays small enough to scan from a printed card.
+function buildCardSummary(child) {
+  const dob = child.dob.split('T')[0];
+  const household = getHousehold(child);
+  const next = getNextAppointment(child);
+  const doses = child.vaccinations
+    .filter(v => v.dateGiven && !isBooking(v))
+    .map(v => [v.vaccine, daysBetween(dob, v.dateGiven.split('T')[0]), v.batchNumber || '']);
+  doses.sort((a, b) => a[1] - b[1]);
+
+  return {
+    v: 1,
+    u: child.uid,
+    r: child.regNo,
+    n: child.name,
+    b: dob,
+    s: child.sex,
+    m: household ? household.motherName : '',
+    f: facilityName,
+    d: doses,
+    a: next ? next.date : '',
+    i: new Date().toISOString().split('T')[0]
+  };
+}
+
+// Text of a card's QR code: prefix, signature, public key and the summary,
+// separated by dots. The summary is JSON with non-ASCII characters escaped.
+async function encodeCardCode(summary) {
+  const key = await getCardSigningKey();
+  const json = JSON.stringify(summary).replace(/[\u0080-\uffff]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+  const signature = await crypto.subtle.sign(CARD_SIGNATURE_ALGORITHM, key.privateKey, new TextEncoder().encode(json));
+  return [CARD_CODE_PREFIX, bytesToBase64(new Uint8Array(signature)), bytesToBase64(key.publicKey), json].join('.');
+}
+
+// Draw a QR code as an SVG, with the four-module quiet zone around it
+function renderQrCode(text) {
+  const qr = qrcode(0, 'M');
+  qr.addData(text);
+  qr.make();
+
+  const size = qr.getModuleCount();
+  let path = '';
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) {
+      if (qr.isDark(row, col)) path += `M${col + 4},${row + 4}h1v1h-1z`;
+    }
+  }
+  return `<svg class="card-qr" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size + 8} ${size + 8}" shape-rendering="crispEdges">
+    <rect width="100%" height="100%" fill="#fff"/><path d="${path}" fill="#000"/>
+  </svg>`;
+}
+
+// Immunization rows of the card: every vaccine in the schedule by age, then any
+// dose given that is no longer in the schedule
+function childCardDoseRows(child) {
+  const givenDose = vaccine => child.vaccinations.find(v => v.vaccine === vaccine && v.dateGiven && !isBooking(v));
+  const row = (age, vaccine, dose) => `
+    <tr>
+      <td>${age}</td>
+      <td>${vaccine}</td>
+      <td>${dose ? formatDate(dose.dateGiven) : ''}</td>
+      <td>${dose ? dose.batchNumber || '' : ''}</td>
+      <td>${dose ? dose.placeGiven || '' : ''}</td>
+    </tr>
+  `;
+
+  const rows = [...vaccinationSchedule]
+    .sort((a, b) => a.targetAgeDays - b.targetAgeDays)
+    .map(rule => row(formatAge(rule.targetAgeDays), rule.id, givenDose(rule.id)));
+  child.vaccinations
+    .filter(v => v.dateGiven && !isBooking(v) && !getScheduleEntry(v.vaccine))
+    .forEach(dose => rows.push(row('', dose.vaccine, dose)));
+  return rows.join('');
+}
+
+// Card HTML in the layout of the national child health record
+function renderChildCard(child, summary, code, fingerprint) {
+  const household = getHousehold(child);
+  const names = household ? [household.motherName, household.caregiverName].filter(Boolean) : [];
+  const phones = household ? household.phones : [child.contact].filter(Boolean);
+  const place = household && household.landmark ? `${household.community}, ${household.landmark}` : child.address;
+  const next = getNextAppointment(child);
+  const { status } = getChildView(child).status;
+  const today = new Date().toISOString().split('T')[0];
+
+  let nextText = 'No vaccine due';
+  if (next) {
+    const when = next.date < today ? `As soon as possible (due ${formatDate(next.date)})` : formatDate(next.date);
+    nextText = `${when} - ${next.vaccines.join(', ')}`;
+  }
+
+  return `
+    <div class="card">
+      <div class="card-header">
+        <h2>Child Health Record</h2>
+        <p>Immunization Card &nbsp; Facility: ${facilityName || '________________'}</p>
+      </div>
+      <table class="card-details">
+        <tr><th>Name of child</th><td>${child.name}</td><th>Reg No.</th><td>${child.regNo}</td></tr>
+        <tr><th>Date of birth</th><td>${formatDate(child.dob)}</td><th>Sex</th><td>${child.sex}</td></tr>
+        <tr><th>Mother / caregiver</th><td>${names.join(' / ') || ''}</td><th>Phone</th><td>${phones.join(', ')}</td></tr>
+        <tr><th>Community</th><td colspan="3">${place || ''}</td></tr>
+      </table>
+      <h3>Immunizations</h3>
+      <table class="card-doses">
+        <thead>
+          <tr><th>Age</th><th>Vaccine</th><th>Date Given</th><th>Batch No.</th><th>Place Given</th></tr>
+        </thead>
+        <tbody>${childCardDoseRows(child)}</tbody>
+      </table>
+      <div class="card-footer">
+        <div>
+          <p><strong>Next appointment:</strong> ${nextText}</p>
+          ${['fic', 'cic'].includes(status) ? `<p><strong>${childStatusClasses[status].label}</strong></p>` : ''}
+          <p>Bring this card to every visit. If it is lost, ask the clinic to print a new one from the register.</p>
+          <p class="card-issued">Issued ${formatDate(summary.i)} &nbsp; Card key ${fingerprint}</p>
+        </div>
+        ${renderQrCode(code)}
+      </div>
+    </div>
+  `;
+}
+
+// Print a child's health card, or a new one for a lost card
+async function printChildCard(index) {
+  const child = children[index];
+  if (!child) return;
+
+  if (typeof qrcode === 'undefined') {
+    showNotification('The QR code library has not loaded. Open the app once while online so it is kept for offline use.', 'error');
+    return;
+  }
+
+  try {
+    const summary = buildCardSummary(child);
+    const code = await encodeCardCode(summary);
+    const { fingerprint } = await getCardSigningKey();
+    printReport(`Child Health Record - ${child.name}`, renderChildCard(child, summary, code, fingerprint), childCardStyles);
+  } catch (error) {
+    console.error('Error printing child card:', error);
+    showNotification('Error printing the child health card', 'error');
+  }
+}
+
+// Reading child health cards. A photo or screenshot of a card's QR code is
+// decoded on this device, its signature and summary are checked and the
+// child's record is opened. A child who is not in this register can be
+// imported from the card as a transfer-in.
+
+// Check the text of a card's QR code. Returns the summary, the fingerprint of
+// the key that signed it and who that key belongs to (null when the key is not
+// trusted, so the card is unverified), or an error when it is not a valid card.
+async function readCardCode(text) {
+  const parts = text.split('.');
+  if (parts[0] !== CARD_CODE_PREFIX || parts.length < 4) {
+    return { error: 'This QR code is not from a child health card.' };
+  }
+  const [, signature, publicKey] = parts;
+  const json = parts.slice(3).join('.');
+
+  let signed = false;
+  try {
+    const key = await crypto.subtle.importKey('raw', base64ToBytes(publicKey), CARD_SIGNING_ALGORITHM, false, ['verify']);
+    signed = await crypto.subtle.verify(CARD_SIGNATURE_ALGORITHM, key, base64ToBytes(signature), new TextEncoder().encode(json));
+  } catch (error) {
+    signed = false;
+  }
+  if (!signed) {
+    return { error: 'The card\'s signature does not match its summary. The card may have been altered.' };
+  }
+
+  let summary;
+  try {
+    summary = JSON.parse(json);
+  } catch (error) {
+    return { error: 'The card\'s summary cannot be read.' };
+  }
+  const errors = validateCardSummary(summary);
+  if (errors.length > 0) {
+    return { error: `The card's summary is not valid: ${errors[0]}` };
+  }
+
+  const fingerprint = await keyFingerprint(base64ToBytes(publicKey));
+  return { summary, fingerprint, signer: await cardKeySigner(fingerprint) };
+}
+
+// Check a card summary before it is trusted. Returns a list of problems.
+function validateCardSummary(summary) {
+  const errors = [];
+  const today = new Date().toISOString().split('T')[0];
+
+  if (!summary || typeof summary !== 'object') return ['it is not a record.'];
+  if (summary.v !== 1) errors.push(`card version ${summary.v} is not supported.`);
+  if (typeof summary.u !== 'string' || !summary.u) errors.push('missing record id.');
+  if (typeof summary.r !== 'string' || !summary.r.trim()) errors.push('missing registration number.');
+  if (typeof summary.n !== 'string' || !summary.n.trim()) errors.push('missing name.');
+  if (!isValidDateString(summary.b) || summary.b > today) errors.push(`date of birth "${summary.b}" is not a valid date.`);
+  if (!['Male', 'Female'].includes(summary.s)) errors.push(`sex must be Male or Female, found "${summary.s}".`);
+  ['m', 'f'].forEach(key => {
+    if (summary[key] !== undefined && typeof summary[key] !== 'string') errors.push(`"${key}" is not text.`);
+  });
+  // Anyone can make a card, so text that could be read as markup is refused
+  ['u', 'n', 'r', 'm', 'f'].forEach(key => {
+    if (containsMarkup(summary[key])) errors.push(`"${key}" contains characters a card cannot hold.`);
+  });
+  if (summary.i !== undefined && !isValidDateString(summary.i)) errors.push(`issue date "${summary.i}" is not a valid date.`);
+  if (!Array.isArray(summary.d)) {
+    errors.push('missing list of doses.');
+  } else {
+    summary.d.forEach((dose, index) => {
+      if (!Array.isArray(dose) || typeof dose[0] !== 'string' || !Number.isInteger(dose[1]) || dose[1] < 0 || typeof dose[2] !== 'string') {
+        errors.push(`dose ${index + 1} is not valid.`);
+      } else if (!getScheduleEntry(dose[0])) {
+        errors.push(`dose ${index + 1} is not a vaccine in the schedule.`);
+      } else if (containsMarkup(dose[2])) {
+        errors.push(`dose ${index + 1} has a batch number a card cannot hold.`);
+      } else if (isValidDateString(summary.b) && addDays(summary.b, dose[1]) > today) {
+        errors.push(`dose ${index + 1} (${dose[0]}) is dated in the future.`);
+      }
+    });
+  }
+  return errors;
+}
+
+// Load an image file into an <img>
+function loadImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('The file is not an image'));
+    };
+    image.src = url;
+  });
+}
+
+// Find and decode the QR code in an image file, or return null. Large photos
+// are scaled down first, and a smaller copy is tried when that finds nothing.
+async function decodeQrImage(file) {
+  const image = await loadImageFile(file);
+  for (const maxSize of [1600, 800]) {
+    const scale = Math.min(1, maxSize / Math.max(image.width, image.height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(image.width * scale);
+    canvas.height = Math.round(image.height * scale);
+    const context = canvas.getContext('2d', { willReadFrequently: true });
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+    const code = jsQR(pixels.data, pixels.width, pixels.height);
+    if (code) return code.data;
+  }
+  return null;
+}
+
+// Open a child's record from a photo or screenshot of their card
+document.getElementById('cardImageFile').addEventListener('change', async function (e) {
+  const file = e.target.files[0];
+  // Allow the same file to be chosen again
+  e.target.value = '';
+  if (!file) return;
+
+  if (typeof jsQR === 'undefined') {
+    showNotification('The QR code reader has not loaded. Open the app once while online so it is kept for offline use.', 'error');
+    return;
+  }
+
+  try {
+    const text = await decodeQrImage(file);
+    if (!text) {
+      showNotification('No QR code was found in the picture. Try a sharper photo with the whole code in view.', 'error');
+      return;
+    }
+    const card = await readCardCode(text);
+    if (card.error) {
+      showNotification(card.error, 'error');
+      return;
+    }
+    openCardChild(card);
+  } catch (error) {
+    console.error('Error reading card:', error);
+    showNotification('Could not read the picture. Please choose a photo or screenshot of the card.', 'error');
+  }
+});
+
+// The registered child a card belongs to: the same record, a transfer-in
+// imported from that record, or one with the card's Reg No., name and date of birth
+function findCardChild(summary) {
+  return children.find(child => child.uid === summary.u || (child.transferIn && child.transferIn.uid === summary.u)) ||
+    children.find(child => child.regNo === summary.r && compactName(child.name) === compactName(summary.n) &&
+      child.dob && child.dob.split('T')[0] === summary.b) ||
+    null;
+}
+
+// Show a child in the register and open their immunization record
+function openRegisteredChild(child) {
+  document.getElementById('search').value = child.regNo;
+  filterChildren();
+  scrollToSection('childHealthRegister');
+  openImmunizationModal(children.indexOf(child));
+}
+
+// Open the child a card belongs to, or offer to import them
+function openCardChild(card) {
+  const child = findCardChild(card.summary);
+  if (child) {
+    openRegisteredChild(child);
+    if (!card.signer) {
+      showNotification('The card could not be verified: its key is not trusted. The record shown is the one in this register.', 'info');
+    }
+  } else {
+    openTransferModal(card);
+  }
+}
+
+// Open Transfer-in Modal with what the card says about the child
+function openTransferModal(card) {
+  const { summary } = card;
+  pendingTransfer = card;
+
+  document.getElementById('transferChildDetails').textContent =
+    `${summary.n}, ${summary.s}, born ${formatDate(summary.b)}. Reg No. ${summary.r} at ${summary.f || 'an unnamed facility'}. ` +
+    `Mother: ${summary.m || 'not recorded'}.`;
+  const signature = document.getElementById('transferSignature');
+  signature.className = card.signer ? '' : 'highlight-red';
+  signature.textContent = card.signer
+    ? `Verified: signed by ${card.signer} (key ${card.fingerprint}).`
+    : `Unverified: the card's key ${card.fingerprint} is not trusted on this device, so the doses cannot be checked. ` +
+      'Confirm them with the caregiver and the issuing clinic, or add the clinic\'s key in Sync Settings.';
+
+  // The card's text is set as text, never as markup
+  const tbody = document.querySelector('#transferDosesTable tbody');
+  tbody.innerHTML = summary.d.length === 0
+    ? '<tr><td colspan="3" style="text-align: center;">No doses on the card</td></tr>'
+    : '';
+  summary.d.forEach(([vaccine, ageDays, batchNumber]) => {
+    const row = document.createElement('tr');
+    [formatVaccineLabel(vaccine), formatDate(addDays(summary.b, ageDays)), batchNumber || 'N/A'].forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+
+  // The child may already be registered here under another record
+  const matches = findPossibleDuplicates({ name: summary.n, dob: summary.b, sex: summary.s, address: '', contact: '', motherName: summary.m || '' });
+  document.querySelector('#transferMatchesTable tbody').innerHTML = matches.map(match => `
+    <tr>
+      <td>${match.child.regNo}</td>
+      <td>${match.child.name}</td>
+      <td>${formatDate(match.child.dob)}</td>
+      <td>${match.reasons.join(', ')}</td>
+      <td><button onclick="openTransferMatch(${children.indexOf(match.child)})">💉 Open</button></td>
+    </tr>
+  `).join('');
+  document.getElementById('transferMatches').style.display = matches.length > 0 ? 'block' : 'none';
+
+  document.getElementById('transferModal').style.display = 'flex';
+}
+
+// Close Transfer-in Modal
+function closeTransferModal() {
+  pendingTransfer = null;
+  document.getElementById('transferModal').style.display = 'none';
+}
+
+// The child on the card is already registered here: open their record instead
+function openTransferMatch(index) {
+  closeTransferModal();
+  openRegisteredChild(children[index]);
+}
+
+// Register the child on the card as a transfer-in, with a local Reg No., a
+// household with the mother's name and the doses the card lists. The doses
+// were given elsewhere, so they are not taken out of this facility's stock.
+// The child gets a new record id: the card's id may belong to a record this
+// facility's server has since deleted, whose deletion would reach the import.
+// The card's id and Reg No. are kept only as a reference.
+async function importTransferIn() {
+  if (!requirePermission('registerChildren') || !pendingTransfer) return;
+  const { summary, signer } = pendingTransfer;
+  if (!signer && !confirm('This card is unverified: its doses may not be genuine. Import it anyway?')) return;
+
+  try {
+    const child = stampRecord(recordOperator(assignRecordIdentity({
+      regNo: await generateRegNo(),
+      name: summary.n.trim(),
+      dob: summary.b,
+      sex: summary.s,
+      address: '',
+      contact: '',
+      transferIn: { uid: summary.u, regNo: summary.r, facility: summary.f || '' },
+      isDefaulter: false
+    }), true), syncedFields.children);
+
+    const remarks = `Transfer-in from ${summary.f || 'another facility'} (Reg No. ${summary.r})${signer ? '' : ', unverified card'}`;
+    const entries = [];
+    summary.d.forEach(([vaccine, ageDays, batchNumber]) => {
+      if (entries.some(entry => entry.vaccine === vaccine)) return;
+      entries.push({ vaccine, dateGiven: addDays(summary.b, ageDays), batchNumber, placeGiven: summary.f || '', remarks });
+    });
+
+    let household = null;
+    await db.transaction('rw', [db.households, db.children, db.vaccinations, db.outbox, db.auditLog], async () => {
+      household = await addHousehold({
+        motherName: (summary.m || '').trim(),
+        caregiverName: '',
+        phones: [],
+        community: '',
+        landmark: '',
+        language: 'en'
+      });
+      child.householdUid = household.uid;
+      child.id = await db.children.add(child);
+      await queueChange('children', child);
+      await auditChange('children', 'create', null, child, 'transferIn');
+
+      child.vaccinations = [];
+      for (const record of planDoseChanges(child, entries, null).creates) {
+        assignRecordIdentity(record);
+        recordOperator(record, true);
+        stampRecord(record, syncedFields.vaccinations);
+        record.id = await db.vaccinations.add(record);
+        await queueChange('vaccinations', record);
+        await auditChange('vaccinations', 'create', null, record, 'transferIn');
+        child.vaccinations.push(record);
+      }
+    });
+
+    households.set(household.uid, household);
+    children.unshift(child);
+    scheduleSync();
+
+    closeTransferModal();
+    refreshChildViews(child);
+    openRegisteredChild(child);
+    showNotification(`${child.name} registered as a transfer-in with Reg No. ${child.regNo}. Add the household's phone and community.`, 'success');
+  } catch (error) {
+    console.error('Error importing transfer-in:', error);
+    showNotification('Error importing the child from the card. Please try again.', 'error');
+  }
+}
+
+// Immunization sessions. The nurse opens one session a day and records how
+// many vials of each lot were opened. Doses in opened vials that were not given
+// are wasted; closing the session takes them out of stock. A session left open
+// at the end of its day stays listed until it is closed.
+const sessionTypes = { fixed: 'Fixed (at facility)', outreach: 'Outreach' };
+
+// Today's session, if one has been opened
+function getTodaySession() {
+  return db.sessions.where('date').equals(new Date().toISOString().split('T')[0]).first();
+}
+
+// Sessions from earlier days that were never closed, oldest first
+function getEarlierOpenSessions() {
+  const today = new Date().toISOString().split('T')[0];
+  return db.sessions.where('status').equals('open').filter(session => session.date < today).sortBy('date');
+}
+
+// The session shown in the Session modal: an earlier one being closed, or today's
+async function getSelectedSession() {
+  return (selectedSessionId && await db.sessions.get(selectedSessionId)) || getTodaySession();
+}
+
+// Doses given on the session's day from each lot opened in it
+function getSessionUsage(session) {
+  const administered = {};
+  children.forEach(child => {
+    child.vaccinations.forEach(dose => {
+      if (dose.dateGiven !== session.date) return;
+      const lot = findDoseLot(dose);
+      if (lot) administered[lot.uid] = (administered[lot.uid] || 0) + 1;
+    });
+  });
+
+  return session.vials.map(item => {
+    const lot = vaccineLots.find(candidate => candidate.uid === item.lotUid);
+    const available = item.vials * (lot ? lot.dosesPerVial : 0);
+    const given = administered[item.lotUid] || 0;
+    return {
+      lot,
+      lotUid: item.lotUid,
+      antigen: lot ? lot.antigen : '',
+      vials: item.vials,
+      available,
+      administered: given,
+      wasted: Math.max(available - given, 0)
+    };
+  });
+}
+
+// Open Session Modal for today
+async function openSessionModal() {
+  document.getElementById('wastageMonth').value = new Date().toISOString().slice(0, 7);
+  document.getElementById('sessionModal').style.display = 'flex';
+  await renderSession();
+  await renderWastageReport();
+}
+
+// Close Session Modal
+function closeSessionModal() {
+  selectedSessionId = null;
+  document.getElementById('sessionModal').style.display = 'none';
+}
+
+// List the sessions from earlier days that were never closed
+async function renderEarlierOpenSessions() {
+  const sessions = await getEarlierOpenSessions();
+  document.getElementById('sessionsLeftOpen').style.display = sessions.length > 0 || selectedSessionId ? 'block' : 'none';
+  document.getElementById('sessionBackToToday').style.display = selectedSessionId ? 'inline-block' : 'none';
+  document.querySelector('#sessionsLeftOpenTable tbody').innerHTML = sessions.map(session => `
+    <tr${session.id === selectedSessionId ? ' class="selected"' : ''}>
+      <td>${formatDate(session.date)}</td>
+      <td>${sessionTypes[session.type]}${session.location ? ` at ${session.location}` : ''}</td>
+      <td>${session.openedBy || 'unknown'}</td>
+      <td><button onclick="selectSession(${session.id})" class="secondary">⏹️ Review and Close</button></td>
+    </tr>
+  `).join('');
+}
+
+// Show an earlier session so its vials can be checked and it can be closed
+async function selectSession(id) {
+  selectedSessionId = id;
+  await renderSession();
+}
+
+// Go back to today's session
+async function showTodaySession() {
+  selectedSessionId = null;
+  await renderSession();
+}
+
+// Show the selected session (today's unless an earlier one is being closed):
+// the form to open it, the vials opened, or its summary
+async function renderSession() {
+  await renderEarlierOpenSessions();
+  const session = await getSelectedSession();
+  document.getElementById('sessionOpenForm').style.display = session ? 'none' : 'block';
+  document.getElementById('sessionDetails').style.display = session ? 'block' : 'none';
+  if (!session) return;
+
+  const open = session.status === 'open';
+  const earlier = session.date < new Date().toISOString().split('T')[0];
+  document.getElementById('sessionSummary').textContent =
+    `${earlier ? `Session of ${formatDate(session.date)}: ` : ''}` +
+    `${sessionTypes[session.type]} session${session.location ? ` at ${session.location}` : ''}, opened by ${session.openedBy || 'unknown'}` +
+    (open ? '.' : `, closed by ${session.closedBy || 'unknown'}.`);
+  document.getElementById('sessionActions').style.display = open ? 'block' : 'none';
+
+  // Lots that could be opened on the session's day, plus any already opened
+  const today = session.date;
+  const lots = vaccineLots.filter(lot =>
+    session.vials.some(item => item.lotUid === lot.uid) ||
+    (lot.expiryDate >= today && (stockOnHand[lot.uid] || 0) > 0)
+  ).sort((a, b) => a.antigen.localeCompare(b.antigen) || a.expiryDate.localeCompare(b.expiryDate));
+  const usage = new Map(getSessionUsage(session).map(item => [item.lotUid, item]));
+
+  const tbody = document.querySelector('#sessionTable tbody');
+  tbody.innerHTML = '';
+  if (lots.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No vaccine in stock. Record deliveries under Vaccine Stock.</td></tr>';
+  }
+  lots.forEach(lot => {
+    const item = usage.get(lot.uid) || { vials: 0, available: 0, administered: 0, wasted: 0 };
+    const row = document.createElement('tr');
+    row.dataset.lotUid = lot.uid;
+    row.innerHTML = `
+      <td>${lot.antigen}</td>
+      <td>${lot.batchNumber}</td>
+      <td>${lot.dosesPerVial}</td>
+      <td>${open ? `<input type="number" class="vialsOpened" min="0" value="${item.vials}">` : item.vials}</td>
+      <td>${item.available}</td>
+      <td>${item.administered}</td>
+      <td>${item.wasted}</td>
+    `;
+    tbody.appendChild(row);
+  });
+}
+
+// Open today's session
+async function openSession() {
+  if (!requirePermission('recordDoses')) return;
+
+  try {
+    if (await getTodaySession()) return;
+    await db.sessions.add({
+      uid: generateUid(),
+      date: new Date().toISOString().split('T')[0],
+      type: document.getElementById('sessionType').value,
+      location: document.getElementById('sessionLocation').value.trim(),
+      status: 'open',
+      vials: [],
+      openedBy: currentOperatorName(),
+      openedAt: new Date()
+    });
+    await renderSession();
+    showNotification('Session opened. Record each vial you open.', 'success');
+  } catch (error) {
+    console.error('Error opening session:', error);
+    showNotification('Error opening the session. Please try again.', 'error');
+  }
+}
+
+// Read the vials opened from the session table
+function readSessionVials() {
+  return Array.from(document.querySelectorAll('#sessionTable tbody tr'))
+    .filter(row => row.dataset.lotUid)
+    .map(row => ({ lotUid: row.dataset.lotUid, vials: parseInt(row.querySelector('.vialsOpened').value, 10) || 0 }))
+    .filter(item => item.vials > 0);
+}
+
+// Save the vials opened so far in the selected session
+async function saveSessionVials() {
+  if (!requirePermission('recordDoses')) return;
+
+  try {
+    const session = await getSelectedSession();
+    if (!session || session.status !== 'open') return;
+    await db.sessions.update(session.id, { vials: readSessionVials() });
+    await renderSession();
+    showNotification('Vials opened saved.', 'success');
+  } catch (error) {
+    console.error('Error saving vials opened:', error);
+    showNotification('Error saving vials opened. Please try again.', 'error');
+  }
+}
+
+// Close the selected session and take the wasted doses out of stock on the
+// session's own date
+async function closeSession() {
+  if (!requirePermission('recordDoses')) return;
+
+  try {
+    const session = await getSelectedSession();
+    if (!session || session.status !== 'open') return;
+    if (!confirm(`Close the session of ${formatDate(session.date)}? Doses left in opened vials will be recorded as wasted.`)) return;
+    session.vials = readSessionVials();
+    const usage = getSessionUsage(session);
+
+    await db.transaction('rw', db.sessions, db.stockLedger, async () => {
+      for (const item of usage.filter(entry => entry.lot && entry.wasted > 0)) {
+        await addLedgerEntry(item.lot, 'wastage', -item.wasted, {
+          date: session.date,
+          reason: `${item.vials} vials opened, ${item.administered} doses given`
+        });
+      }
+      await db.sessions.update(session.id, {
+        vials: session.vials,
+        status: 'closed',
+        closedBy: currentOperatorName(),
+        closedAt: new Date()
+      });
+    });
+
+    const overGiven = usage.filter(item => item.administered > item.available);
+    selectedSessionId = null;
+    await loadInventory();
+    await renderSession();
+    await renderWastageReport();
+    if (overGiven.length > 0) {
+      showNotification(`More doses were recorded than the opened vials hold for ${overGiven.map(item => item.antigen).join(', ')}. Please check the vials opened.`, 'error');
+    } else {
+      showNotification('Session closed.', 'success');
+    }
+  } catch (error) {
+    console.error('Error closing session:', error);
+    showNotification('Error closing the session. Please try again.', 'error');
+  }
+}
+
+// Monthly vaccine utilisation per antigen in the EPI report layout: stock
+// balances, vials and doses opened, doses given and wasted, and wastage rate
+async function getWastageReport(month) {
+  const monthStart = `${month}-01`;
+  const monthEnd = `${month}-31`;
+  const sessions = await db.sessions.where('date').between(monthStart, monthEnd, true, true).toArray();
+  const ledger = await db.stockLedger.toArray();
+  const lotAntigen = new Map(vaccineLots.map(lot => [lot.uid, lot.antigen]));
+  const rows = {};
+  const rowFor = antigen => {
+    rows[antigen] = rows[antigen] || {
+      antigen,
+      openingBalance: 0,
+      received: 0,
+      vialsOpened: 0,
+      dosesOpened: 0,
+      dosesGiven: 0,
+      dosesWasted: 0,
+      closingBalance: 0
+    };
+    return rows[antigen];
+  };
+
+  ledger.forEach(entry => {
+    const antigen = lotAntigen.get(entry.lotUid) || entry.antigen;
+    if (entry.date > monthEnd) return;
+    const row = rowFor(antigen);
+    if (entry.date < monthStart) row.openingBalance += entry.quantity;
+    if (entry.date >= monthStart && entry.type === 'received') row.received += entry.quantity;
+    row.closingBalance += entry.quantity;
+  });
+
+  sessions.forEach(session => {
+    getSessionUsage(session).forEach(item => {
+      if (!item.lot) return;
+      const row = rowFor(item.antigen);
+      row.vialsOpened += item.vials;
+      row.dosesOpened += item.available;
+      row.dosesGiven += item.administered;
+      row.dosesWasted += item.wasted;
+    });
+  });
+
+  return Object.values(rows)
+    .map(row => ({
+      ...row,
+      wastageRate: row.dosesOpened > 0 ? Math.round(row.dosesWasted / row.dosesOpened * 1000) / 10 : null
+    }))
+    .sort((a, b) => a.antigen.localeCompare(b.antigen));
+}
+
+// Wastage rate per antigen for each month of the year up to the given month
+async function getWastageTrend(month) {
+  const [year, lastMonth] = month.split('-').map(Number);
+  const months = [];
+  for (let m = 1; m <= lastMonth; m++) months.push(`${year}-${String(m).padStart(2, '0')}`);
+
+  const trend = [];
+  for (const item of months) {
+    trend.push({ month: item, rows: await getWastageReport(item) });
+  }
+  return trend;
+}
+
+const wastageColumns = ['Antigen', 'Opening Balance', 'Received', 'Vials Opened', 'Doses Opened', 'Doses Given', 'Doses Wasted', 'Wastage Rate (%)', 'Closing Balance'];
+
+function wastageRowValues(row) {
+  return [row.antigen, row.openingBalance, row.received, row.vialsOpened, row.dosesOpened, row.dosesGiven, row.dosesWasted, row.wastageRate === null ? '-' : row.wastageRate, row.closingBalance];
 }
 
-// Save Immunization Data
-async function saveImmunization(bookNextVisit = false, nextVisitDate = null, nextVisitVaccines = []) {
-  const child = children[selectedChildIndex];
-  const childKey = `${child.regNo}-${child.name}`;
-  const rows = document.querySelectorAll('#immunizationTable tbody tr');
+// Show the monthly wastage report and the wastage trend for the year
+async function renderWastageReport() {
+  const month = document.getElementById('wastageMonth').value;
+  if (!month) return;
 
-  // Validate mandatory fields
-  let isValid = true;
-  rows.forEach(row => {
-    const dateGiven = row.querySelector('.dateGiven').value;
-    const batchNumber = row.querySelector('.batchNumber').value;
-    const placeGiven = row.querySelector('.placeGiven').value;
-    const remarks = row.querySelector('.remarks').value;
+  try {
+    const rows = await getWastageReport(month);
+    document.querySelector('#wastageTable tbody').innerHTML = rows.length === 0
+      ? '<tr><td colspan="9" style="text-align: center;">No stock recorded for this month</td></tr>'
+      : rows.map(row => `<tr>${wastageRowValues(row).map(value => `<td>${value}</td>`).join('')}</tr>`).join('');
 
-    if (dateGiven && (!batchNumber || !placeGiven || !remarks)) {
-      isValid = false;
-      showNotification('Batch Number, Place Given, and Remarks are mandatory when Date Given is selected.', 'error');
+    const trend = await getWastageTrend(month);
+    const antigens = [...new Set(trend.flatMap(item => item.rows.filter(row => row.dosesOpened > 0).map(row => row.antigen)))].sort();
+    document.querySelector('#wastageTrendTable thead').innerHTML =
+      `<tr><th>Month</th>${antigens.map(antigen => `<th>${antigen}</th>`).join('')}</tr>`;
+    document.querySelector('#wastageTrendTable tbody').innerHTML = trend.map(item => {
+      const rates = antigens.map(antigen => {
+        const row = item.rows.find(candidate => candidate.antigen === antigen);
+        return `<td>${row && row.wastageRate !== null ? `${row.wastageRate}%` : '-'}</td>`;
+      });
+      return `<tr><td>${item.month}</td>${rates.join('')}</tr>`;
+    }).join('');
+  } catch (error) {
+    console.error('Error building wastage report:', error);
+    showNotification('Error building the wastage report. Please try again.', 'error');
+  }
+}
+
+// Export the monthly wastage report as CSV
+async function exportWastageReport() {
+  const month = document.getElementById('wastageMonth').value;
+  const rows = await getWastageReport(month);
+  const csv = [wastageColumns, ...rows.map(wastageRowValues)]
+    .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+  downloadFile(csv, `vaccine_utilisation_${month}.csv`, 'text/csv');
+}
+
+// Print the monthly wastage report
+async function printWastageReport() {
+  const month = document.getElementById('wastageMonth').value;
+  const rows = await getWastageReport(month);
+  printReport(`Vaccine Utilisation ${month}`, `
+    <h2>Vaccine Utilisation and Wastage</h2>
+    <p>Facility: ${facilityName || '________________'} &nbsp; Month: ${month}</p>
+    <table>
+      <tr>${wastageColumns.map(column => `<th>${column}</th>`).join('')}</tr>
+      ${rows.map(row => `<tr>${wastageRowValues(row).map(value => `<td>${value}</td>`).join('')}</tr>`).join('')}
+    </table>
+    <p>Wastage rate = doses wasted ÷ doses opened × 100. Doses are counted in opened vials of immunization sessions.</p>
+  `);
+}
+
+// ===== Monthly EPI report =====
+// Aggregates for the monthly EPI/HMIS return, laid out like the national tally
+// sheet: doses per vaccine by age band and sex, dropout rates, fully immunized
+// children and defaulters traced.
+
+const reportAgeBands = [
+  { id: 'under12', label: '<12 months', maxMonths: 11 },
+  { id: 'from12to23', label: '12-23 months', maxMonths: 23 },
+  { id: 'over24', label: '24+ months', maxMonths: Infinity }
+];
+const reportSexes = ['Male', 'Female'];
+const dropoutPairs = [
+  { label: 'Penta1 → Penta3', from: 'Penta1', to: 'Penta3' },
+  { label: 'BCG → MR1', from: 'BCG', to: 'Measles Rubella1' }
+];
+
+// Age band of a child on a date
+function getAgeBand(dob, onDate) {
+  const months = ageInMonths(dob, onDate);
+  return reportAgeBands.find(band => months <= band.maxMonths);
+}
+
+// Count by age band and sex
+function emptyTally() {
+  const tally = { total: 0 };
+  reportAgeBands.forEach(band => {
+    reportSexes.forEach(sex => { tally[`${band.id}${sex}`] = 0; });
+  });
+  return tally;
+}
+
+function addToTally(tally, child, onDate) {
+  const band = getAgeBand(child.dob, onDate);
+  const key = `${band.id}${child.sex}`;
+  if (key in tally) tally[key] += 1;
+  tally.total += 1;
+}
+
+// Due date of every scheduled dose, given or not, as the schedule would have
+// set it: used to tell whether a dose was given late
+function computeScheduledDates(child) {
+  const lastDoseInSeries = {};
+  return [...vaccinationSchedule].sort((a, b) => a.dose - b.dose).map(rule => {
+    let dueDate = addDays(child.dob, Math.max(rule.targetAgeDays, rule.minAgeDays));
+    const previousDose = lastDoseInSeries[rule.series];
+    if (previousDose && rule.minIntervalDays) {
+      const earliest = addDays(previousDose, rule.minIntervalDays);
+      if (earliest > dueDate) dueDate = earliest;
     }
+    const given = child.vaccinations.find(v => v.vaccine === rule.id && v.dateGiven);
+    lastDoseInSeries[rule.series] = given ? given.dateGiven.split('T')[0] : dueDate;
+    return { vaccine: rule.id, dueDate };
+  });
+}
+
+// Build the monthly report for a YYYY-MM month
+async function getMonthlyReport(month) {
+  const monthStart = `${month}-01`;
+  const monthEnd = `${month}-31`;
+  const inMonth = date => date >= monthStart && date <= monthEnd;
+
+  const doses = {};
+  vaccinationSchedule.forEach(rule => { doses[rule.id] = emptyTally(); });
+  const fullyImmunized = emptyTally();
+  const completelyImmunized = emptyTally();
+  const fullVaccines = fullImmunizationVaccines(365);
+  const completeVaccines = fullImmunizationVaccines(730);
+  const returnedChildren = new Set();
+
+  children.forEach(child => {
+    if (!child.dob) return;
+    const scheduleDue = {};
+    computeScheduledDates(child).forEach(item => { scheduleDue[item.vaccine] = item.dueDate; });
+
+    child.vaccinations.forEach(dose => {
+      if (!dose.dateGiven || isBooking(dose)) return;
+      const dateGiven = dose.dateGiven.split('T')[0];
+      if (!inMonth(dateGiven)) return;
+      doses[dose.vaccine] = doses[dose.vaccine] || emptyTally();
+      addToTally(doses[dose.vaccine], child, dateGiven);
+
+      // A child given a dose that fell due before this month had defaulted and was brought back
+      if (scheduleDue[dose.vaccine] && scheduleDue[dose.vaccine] < monthStart) returnedChildren.add(child);
+    });
+
+    const fullDate = completedOn(child, fullVaccines);
+    if (fullDate && inMonth(fullDate) && ageInMonths(child.dob, fullDate) < 12) addToTally(fullyImmunized, child, fullDate);
+    const completeDate = completedOn(child, completeVaccines);
+    if (completeDate && inMonth(completeDate) && ageInMonths(child.dob, completeDate) < 24) addToTally(completelyImmunized, child, completeDate);
+  });
+
+  const dropouts = dropoutPairs.map(pair => {
+    const fromCount = doses[pair.from] ? doses[pair.from].under12Male + doses[pair.from].under12Female : 0;
+    const toCount = doses[pair.to] ? doses[pair.to].under12Male + doses[pair.to].under12Female : 0;
+    return {
+      ...pair,
+      fromCount,
+      toCount,
+      rate: fromCount > 0 ? Math.round((fromCount - toCount) / fromCount * 1000) / 10 : null
+    };
+  });
+
+  // Defaulters traced are those with a tracing attempt logged in the month
+  const defaultersTraced = emptyTally();
+  children.forEach(child => {
+    const attempt = getTracingAttempts(child, monthStart).find(item => inMonth(item.date));
+    if (attempt) addToTally(defaultersTraced, child, attempt.date);
   });
+  const defaultersReturned = emptyTally();
+  returnedChildren.forEach(child => addToTally(defaultersReturned, child, monthEnd));
+
+  return {
+    month,
+    facility: facilityName,
+    doses: Object.keys(doses).map(vaccine => ({ vaccine, ...doses[vaccine] })),
+    dropouts,
+    fullyImmunized,
+    completelyImmunized,
+    defaultersTraced,
+    defaultersReturned,
+    utilisation: await getWastageReport(month)
+  };
+}
+
+// Column headings of a tally by age band and sex
+function tallyColumns() {
+  return reportAgeBands.flatMap(band => reportSexes.map(sex => `${band.label} ${sex}`)).concat('Total');
+}
+
+function tallyValues(tally) {
+  return reportAgeBands.flatMap(band => reportSexes.map(sex => tally[`${band.id}${sex}`])).concat(tally.total);
+}
+
+// Open Monthly Report Modal
+function openReportModal() {
+  const lastMonth = new Date();
+  lastMonth.setDate(0);
+  document.getElementById('reportMonth').value = lastMonth.toISOString().slice(0, 7);
+  document.getElementById('reportModal').style.display = 'flex';
+  renderMonthlyReport();
+}
+
+// Close Monthly Report Modal
+function closeReportModal() {
+  document.getElementById('reportModal').style.display = 'none';
+}
+
+// Indicator rows of the monthly report, counted by age band and sex
+function reportIndicators(report) {
+  return [
+    ['Fully immunized before 12 months', report.fullyImmunized],
+    ['Completely immunized before 24 months', report.completelyImmunized],
+    ['Defaulters traced', report.defaultersTraced],
+    ['Defaulters brought back', report.defaultersReturned]
+  ];
+}
 
-  if (!isValid) return;
+// Show the monthly report for the selected month
+async function renderMonthlyReport() {
+  const month = document.getElementById('reportMonth').value;
+  if (!month) return;
 
   try {
-    // Delete existing vaccinations for this child
-    await db.vaccinations.where('childId').equals(child.id).delete();
-    
-    // Save all vaccination data
-    const vaccinationPromises = [];
-    rows.forEach(row => {
-      const vaccine = row.cells[0].textContent;
-      const dateGiven = row.querySelector('.dateGiven').value;
-      const batchNumber = row.querySelector('.batchNumber').value;
-      const placeGiven = row.querySelector('.placeGiven').value;
-      const remarks = row.querySelector('.remarks').value;
-
-      if (dateGiven || batchNumber || placeGiven || remarks) {
-        vaccinationPromises.push(
-          db.vaccinations.add({
-            childId: child.id,
-            vaccine,
-            dateGiven,
-            batchNumber,
-            placeGiven,
-            remarks,
-            nextVisit: '', // We'll handle next visits separately
-            status: dateGiven ? 'completed' : 'pending'
-          })
-        );
+    const report = await getMonthlyReport(month);
+    document.querySelector('#reportDosesTable tbody').innerHTML = report.doses.map(row =>
+      `<tr><td>${row.vaccine}</td>${tallyValues(row).map(value => `<td>${value}</td>`).join('')}</tr>`
+    ).join('');
+
+    document.querySelector('#reportSummaryTable tbody').innerHTML = reportIndicators(report).map(([label, tally]) =>
+      `<tr><td>${label}</td>${tallyValues(tally).map(value => `<td>${value}</td>`).join('')}</tr>`
+    ).join('');
+
+    document.querySelector('#reportDropoutTable tbody').innerHTML = report.dropouts.map(dropout => `
+      <tr>
+        <td>${dropout.label}</td>
+        <td>${dropout.fromCount}</td>
+        <td>${dropout.toCount}</td>
+        <td class="${dropout.rate > 10 ? 'highlight-red' : ''}">${dropout.rate === null ? '-' : `${dropout.rate}%`}</td>
+      </tr>
+    `).join('');
+  } catch (error) {
+    console.error('Error building monthly report:', error);
+    showNotification('Error building the monthly report. Please try again.', 'error');
+  }
+}
+
+// Export the monthly report as CSV, one section after another
+async function exportMonthlyReport() {
+  const month = document.getElementById('reportMonth').value;
+  const report = await getMonthlyReport(month);
+  const rows = [
+    ['Facility', report.facility],
+    ['Month', report.month],
+    [],
+    ['Vaccine', ...tallyColumns()],
+    ...report.doses.map(row => [row.vaccine, ...tallyValues(row)]),
+    [],
+    ['Indicator', ...tallyColumns()],
+    ...reportIndicators(report).map(([label, tally]) => [label, ...tallyValues(tally)]),
+    [],
+    ['Dropout', 'First dose (<12 months)', 'Last dose (<12 months)', 'Dropout rate (%)'],
+    ...report.dropouts.map(dropout => [dropout.label, dropout.fromCount, dropout.toCount, dropout.rate === null ? '-' : dropout.rate]),
+    [],
+    wastageColumns,
+    ...report.utilisation.map(wastageRowValues)
+  ];
+  const csv = rows
+    .map(row => row.map(value => `"${String(value).replace(/"/g, '""')}"`).join(','))
+    .join('\n');
+  downloadFile(csv, `epi_monthly_report_${month}.csv`, 'text/csv');
+}
+
+// Print the monthly report in the layout of the national tally sheet
+async function printMonthlyReport() {
+  const month = document.getElementById('reportMonth').value;
+  const report = await getMonthlyReport(month);
+  const bandHeaders = reportAgeBands.map(band => `<th colspan="${reportSexes.length}">${band.label}</th>`).join('');
+  const sexHeaders = reportAgeBands.map(() => reportSexes.map(sex => `<th>${sex.charAt(0)}</th>`).join('')).join('');
+  const tallyTable = (heading, rows) => `
+    <table>
+      <tr><th rowspan="2">${heading}</th>${bandHeaders}<th rowspan="2">Total</th></tr>
+      <tr>${sexHeaders}</tr>
+      ${rows.map(([label, tally]) => `<tr><td>${label}</td>${tallyValues(tally).map(value => `<td>${value}</td>`).join('')}</tr>`).join('')}
+    </table>
+  `;
+
+  printReport(`EPI Monthly Report ${month}`, `
+    <h2>Monthly Immunization Report</h2>
+    <p>Facility: ${report.facility || '________________'} &nbsp; Month: ${month}</p>
+    <h3>Doses Administered</h3>
+    ${tallyTable('Vaccine', report.doses.map(row => [row.vaccine, row]))}
+    <h3>Fully Immunized Children and Defaulters</h3>
+    ${tallyTable('Indicator', reportIndicators(report))}
+    <h3>Dropout Rates (children under 12 months)</h3>
+    <table>
+      <tr><th>Dropout</th><th>First Dose</th><th>Last Dose</th><th>Dropout Rate (%)</th></tr>
+      ${report.dropouts.map(dropout => `<tr><td>${dropout.label}</td><td>${dropout.fromCount}</td><td>${dropout.toCount}</td><td>${dropout.rate === null ? '-' : dropout.rate}</td></tr>`).join('')}
+    </table>
+    <h3>Vaccine Utilisation</h3>
+    <table>
+      <tr>${wastageColumns.map(column => `<th>${column}</th>`).join('')}</tr>
+      ${report.utilisation.map(row => `<tr>${wastageRowValues(row).map(value => `<td>${value}</td>`).join('')}</tr>`).join('')}
+    </table>
+    <p>Prepared by: ${currentOperatorName() || '________________'} &nbsp; Signature: ________________ &nbsp; Date: ${formatDate(new Date().toISOString())}</p>
+  `);
+}
+
+// ===== Coverage analytics =====
+// Monitoring charts for the in-charge: cumulative coverage against the annual
+// target population, dropout rates and defaulters month by month. Charts are
+// drawn as inline SVG so they work offline.
+
+const defaultAnalyticsVaccines = ['BCG', 'Penta1', 'Penta3', 'Measles Rubella1'];
+const chartColors = ['#006400', '#1f77b4', '#d62728', '#ff7f0e', '#9467bd', '#8c564b', '#e377c2', '#17becf'];
+const monthLabels = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Last day of a month (month is 1-12)
+function monthEndDate(year, month) {
+  return new Date(Date.UTC(year, month, 0)).toISOString().split('T')[0];
+}
+
+// Whether a child had missed a dose by the given date: a scheduled dose was
+// due before it, was not given by then and its age window was still open
+function wasDefaulterOn(child, onDate) {
+  if (!child.dob || child.dob.split('T')[0] > onDate) return false;
+  return computeScheduledDates(child).some(item => {
+    if (item.dueDate >= onDate) return false;
+    const rule = getScheduleEntry(item.vaccine);
+    if (rule.maxAgeDays !== null && addDays(child.dob, rule.maxAgeDays) < onDate) return false;
+    const dose = child.vaccinations.find(v => v.vaccine === item.vaccine && v.dateGiven);
+    return !dose || dose.dateGiven.split('T')[0] > onDate;
+  });
+}
+
+// Month by month figures for a year: cumulative doses to children under 12
+// months per vaccine, cumulative dropout rates and defaulters at month end
+function getCoverageTrend(year, vaccines) {
+  const today = new Date().toISOString().split('T')[0];
+  const monthly = {};
+  vaccinationSchedule.forEach(rule => { monthly[rule.id] = new Array(12).fill(0); });
+
+  children.forEach(child => {
+    if (!child.dob) return;
+    child.vaccinations.forEach(dose => {
+      if (!dose.dateGiven || isBooking(dose) || !monthly[dose.vaccine]) return;
+      const dateGiven = dose.dateGiven.split('T')[0];
+      if (Number(dateGiven.slice(0, 4)) !== year || ageInMonths(child.dob, dateGiven) >= 12) return;
+      monthly[dose.vaccine][Number(dateGiven.slice(5, 7)) - 1] += 1;
+    });
+  });
+
+  const cumulative = {};
+  Object.keys(monthly).forEach(vaccine => {
+    let total = 0;
+    cumulative[vaccine] = monthly[vaccine].map(count => (total += count));
+  });
+
+  const months = [];
+  for (let month = 1; month <= 12; month++) {
+    const endDate = monthEndDate(year, month);
+    if (endDate.slice(0, 7) > today.slice(0, 7)) break;
+    const onDate = endDate < today ? endDate : today;
+    months.push({
+      month,
+      label: monthLabels[month - 1],
+      doses: Object.fromEntries(vaccines.map(vaccine => [vaccine, cumulative[vaccine] ? cumulative[vaccine][month - 1] : 0])),
+      dropouts: dropoutPairs.map(pair => {
+        const fromCount = cumulative[pair.from] ? cumulative[pair.from][month - 1] : 0;
+        const toCount = cumulative[pair.to] ? cumulative[pair.to][month - 1] : 0;
+        return fromCount > 0 ? Math.round((fromCount - toCount) / fromCount * 1000) / 10 : null;
+      }),
+      defaulters: children.filter(child => wasDefaulterOn(child, onDate)).length
+    });
+  }
+  return months;
+}
+
+// Draw a line chart as an SVG string. Each series is { label, color, values, dashed }
+// with one value per label on the x axis; null values leave a gap.
+function renderLineChart(labels, series, { maxValue = null, unit = '' } = {}) {
+  const width = 640;
+  const height = 280;
+  const margin = { top: 20, right: 20, bottom: 40, left: 50 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const values = series.flatMap(item => item.values).filter(value => value !== null);
+  const top = maxValue || Math.max(10, ...values.map(value => Math.ceil(value * 1.1)));
+  const x = index => margin.left + (labels.length > 1 ? index * plotWidth / (labels.length - 1) : plotWidth / 2);
+  const y = value => margin.top + plotHeight - (Math.min(value, top) / top) * plotHeight;
+
+  const grid = [0, 0.25, 0.5, 0.75, 1].map(step => {
+    const value = Math.round(top * step);
+    return `<line x1="${margin.left}" y1="${y(value)}" x2="${width - margin.right}" y2="${y(value)}" stroke="#ddd"/>` +
+      `<text x="${margin.left - 6}" y="${y(value) + 4}" text-anchor="end" font-size="11">${value}${unit}</text>`;
+  }).join('');
+  const xLabels = labels.map((label, index) =>
+    `<text x="${x(index)}" y="${height - margin.bottom + 16}" text-anchor="middle" font-size="11">${label}</text>`
+  ).join('');
+
+  const lines = series.map(item => {
+    const segments = [];
+    let current = [];
+    item.values.forEach((value, index) => {
+      if (value === null) {
+        if (current.length) segments.push(current);
+        current = [];
+      } else {
+        current.push(`${x(index)},${y(value)}`);
       }
     });
+    if (current.length) segments.push(current);
+    return segments.map(points =>
+      `<polyline points="${points.join(' ')}" fill="none" stroke="${item.color}" stroke-width="2"${item.dashed ? ' stroke-dasharray="6 4"' : ''}/>` +
+      points.map(point => `<circle cx="${point.split(',')[0]}" cy="${point.split(',')[1]}" r="3" fill="${item.color}"/>`).join('')
+    ).join('');
+  }).join('');
 
-    // If booking next visit, add next visit dates to selected vaccines
-    if (bookNextVisit && nextVisitDate && nextVisitVaccines.length > 0) {
-      nextVisitVaccines.forEach(vaccine => {
-        vaccinationPromises.push(
-          db.vaccinations.add({
-            childId: child.id,
-            vaccine,
-            dateGiven: '',
-            batchNumber: '',
-            placeGiven: '',
-            remarks: '',
-            nextVisit: nextVisitDate,
-            status: 'scheduled'
-          })
-        );
-      });
-    }
+  const legend = series.map((item, index) =>
+    `<g transform="translate(${margin.left + index * 130}, ${height - 8})">` +
+    `<line x1="0" y1="-4" x2="18" y2="-4" stroke="${item.color}" stroke-width="2"${item.dashed ? ' stroke-dasharray="6 4"' : ''}/>` +
+    `<text x="22" y="0" font-size="11">${item.label}</text></g>`
+  ).join('');
 
-    await Promise.all(vaccinationPromises);
-    
-    // Update the local child data
-    child.vaccinations = await db.vaccinations.where('childId').equals(child.id).toArray();
+  return `<svg class="chart" viewBox="0 0 ${width} ${height}" role="img" xmlns="http://www.w3.org/2000/svg">` +
+    `${grid}<line x1="${margin.left}" y1="${margin.top + plotHeight}" x2="${width - margin.right}" y2="${margin.top + plotHeight}" stroke="#333"/>` +
+    `${xLabels}${lines}${legend}</svg>`;
+}
 
-    // Clear unsaved dates for this child
-    if (unsavedVaccinations[childKey]) {
-      delete unsavedVaccinations[childKey];
+// Fill the analytics controls: year, target population and vaccines to chart
+async function initAnalytics() {
+  const yearInput = document.getElementById('analyticsYear');
+  if (!yearInput.value) yearInput.value = new Date().getFullYear();
+
+  const setting = await db.settings.get('targetPopulation');
+  document.getElementById('targetPopulation').value = setting ? setting.value : '';
+
+  const picker = document.getElementById('analyticsVaccines');
+  if (!picker.dataset.ready) {
+    picker.innerHTML = vaccinationSchedule
+      .filter(rule => rule.targetAgeDays < 365 && !supplementAntigens.includes(rule.antigen))
+      .map(rule => `
+        <label><input type="checkbox" value="${rule.id}" onchange="renderAnalytics()" ${defaultAnalyticsVaccines.includes(rule.id) ? 'checked' : ''}> ${rule.id}</label>
+      `).join('');
+    picker.dataset.ready = 'true';
+  }
+}
+
+// Save the annual target population (surviving infants) of the catchment area
+async function saveTargetPopulation() {
+  if (!requirePermission('manageSettings')) return;
+
+  const value = parseInt(document.getElementById('targetPopulation').value, 10);
+  if (!(value > 0)) {
+    showNotification('Please enter the annual target population (number of infants).', 'error');
+    return;
+  }
+
+  try {
+    await db.settings.put({ id: 'targetPopulation', value });
+    showNotification('Target population saved.', 'success');
+    renderAnalytics();
+  } catch (error) {
+    console.error('Error saving target population:', error);
+    showNotification('Error saving target population. Please try again.', 'error');
+  }
+}
+
+// Draw the coverage, dropout and defaulter charts for the selected year
+async function renderAnalytics() {
+  try {
+    await initAnalytics();
+    const year = parseInt(document.getElementById('analyticsYear').value, 10);
+    const setting = await db.settings.get('targetPopulation');
+    const target = setting ? setting.value : 0;
+    const vaccines = Array.from(document.querySelectorAll('#analyticsVaccines input:checked')).map(input => input.value);
+    const months = getCoverageTrend(year, vaccines);
+    const labels = months.map(item => item.label);
+
+    const coverageChart = document.getElementById('coverageChart');
+    if (!target) {
+      coverageChart.innerHTML = '<p>Enter the annual target population to see coverage.</p>';
+    } else if (months.length === 0) {
+      coverageChart.innerHTML = '<p>No data for this year yet.</p>';
+    } else {
+      const coverage = vaccines.map((vaccine, index) => ({
+        label: vaccine,
+        color: chartColors[index % chartColors.length],
+        values: months.map(item => Math.round(item.doses[vaccine] / target * 1000) / 10)
+      }));
+      const monitoringLine = {
+        label: 'Target',
+        color: '#999',
+        dashed: true,
+        values: months.map(item => Math.round(item.month / 12 * 1000) / 10)
+      };
+      coverageChart.innerHTML = renderLineChart(labels, [monitoringLine, ...coverage], { maxValue: 100, unit: '%' });
     }
 
-    // Update defaulter status based on next visit dates
-    updateDefaulterStatus(child);
-    
-    // Update child defaulter status in database
-    await db.children.update(child.id, { isDefaulter: child.isDefaulter });
-    
-    closeModal();
-    closeBookingModal();
-    updateChildTable();
-    updateStats();
-    updateAllTables();
-    showNotification('Immunization data saved successfully!', 'success');
+    document.getElementById('dropoutChart').innerHTML = months.length === 0 ? '' : renderLineChart(labels,
+      dropoutPairs.map((pair, index) => ({
+        label: pair.label,
+        color: chartColors[(index + 2) % chartColors.length],
+        values: months.map(item => item.dropouts[index])
+      })),
+      { unit: '%' }
+    );
+
+    document.getElementById('defaulterChart').innerHTML = months.length === 0 ? '' : renderLineChart(labels, [{
+      label: 'Defaulters',
+      color: '#d62728',
+      values: months.map(item => item.defaulters)
+    }]);
+
+    document.querySelector('#analyticsTable thead').innerHTML = `<tr><th>Month</th>${vaccines.map(vaccine => `<th>${vaccine}</th>`).join('')}${dropoutPairs.map(pair => `<th>Dropout ${pair.label}</th>`).join('')}<th>Defaulters</th></tr>`;
+    document.querySelector('#analyticsTable tbody').innerHTML = months.map(item => `
+      <tr>
+        <td>${item.label} ${year}</td>
+        ${vaccines.map(vaccine => `<td>${item.doses[vaccine]}${target ? ` (${Math.round(item.doses[vaccine] / target * 1000) / 10}%)` : ''}</td>`).join('')}
+        ${item.dropouts.map(rate => `<td>${rate === null ? '-' : `${rate}%`}</td>`).join('')}
+        <td>${item.defaulters}</td>
+      </tr>
+    `).join('');
   } catch (error) {
-    console.error('Error saving immunization data:', error);
-    showNotification('Error saving immunization data. Please try again.', 'error');
+    console.error('Error building analytics:', error);
+    showNotification('Error building the analytics charts. Please try again.', 'error');
   }
 }
 
-// Update Defaulter Status
-function updateDefaulterStatus(child) {
-  const today = new Date();
-  child.isDefaulter = child.vaccinations.some(vaccination => {
-    if (!vaccination.nextVisit) return false;
-    const nextVisitDate = new Date(vaccination.nextVisit);
-    return nextVisitDate < today;
+// Audit log: an append-only history of changes to children and doses.
+// Entries are only ever added; nothing edits or deletes them, not even Clear All Data.
+const auditedFields = {
+  children: ['regNo', 'name', 'dob', 'sex', 'address', 'contact'],
+  vaccinations: ['vaccine', 'dateGiven', 'batchNumber', 'placeGiven', 'remarks', 'nextVisit', 'status', 'overrideReason'],
+  households: ['motherName', 'caregiverName', 'phones', 'community', 'landmark', 'language'],
+  tracing: ['date', 'method', 'outcome', 'newVisitDate', 'vaccines', 'notes']
+};
+const auditSources = {
+  local: '',
+  sync: 'Synced from another device',
+  merge: 'Backup merge',
+  restore: 'Restore',
+  clear: 'Clear all data',
+  childMerge: 'Duplicate merge',
+  transferIn: 'Transfer-in from child health card'
+};
+
+// The audited fields of a record
+function auditValues(table, record) {
+  if (!record) return null;
+  const values = {};
+  auditedFields[table].forEach(field => {
+    const value = record[field] || '';
+    values[field] = Array.isArray(value) ? value.join(', ') : value;
   });
+  return values;
 }
 
-// Close Modal
-function closeModal() {
-  const modal = document.getElementById('immunizationModal');
-  modal.style.display = 'none';
+// Build an audit entry, or null for an update that changed no audited field.
+// Changes pulled by sync were made elsewhere, by the operator named on the record.
+function createAuditEntry(table, action, before, after, source = 'local') {
+  const record = after || before;
+  const entry = {
+    table,
+    action,
+    recordUid: record.uid,
+    childUid: table === 'children' ? record.uid : record.childUid,
+    before: auditValues(table, before),
+    after: auditValues(table, after),
+    operator: source === 'sync' ? (after && after.updatedBy) || '' : currentOperatorName(),
+    deviceId,
+    source,
+    timestamp: new Date().toISOString()
+  };
+
+  if (action === 'update' && auditedFields[table].every(field => entry.before[field] === entry.after[field])) {
+    return null;
+  }
+  return entry;
 }
 
-// Close View Records Modal
-function closeViewRecordsModal() {
-  const modal = document.getElementById('viewRecordsModal');
-  modal.style.display = 'none';
+// Append entries to the audit log. Call inside the transaction making the change.
+async function appendAudit(entries) {
+  const added = entries.filter(Boolean);
+  if (added.length > 0) await db.auditLog.bulkAdd(added);
 }
 
-// Close Help Modal
-function closeHelpModal() {
-  const modal = document.getElementById('helpModal');
-  modal.style.display = 'none';
+// Record one change in the audit log
+function auditChange(table, action, before, after, source = 'local') {
+  return appendAudit([createAuditEntry(table, action, before, after, source)]);
 }
 
-// Close Today's Appointments Modal
-function closeTodayAppointmentsModal() {
-  const modal = document.getElementById('todayAppointmentsModal');
-  modal.style.display = 'none';
+// Record the deletion of the whole register before it is cleared
+async function auditClearedRegister(source) {
+  const doses = await db.vaccinations.toArray();
+  const registered = await db.children.toArray();
+  const caregivers = await db.households.toArray();
+  const attempts = await db.tracing.toArray();
+  await appendAudit([
+    ...attempts.map(attempt => createAuditEntry('tracing', 'delete', attempt, null, source)),
+    ...doses.map(dose => createAuditEntry('vaccinations', 'delete', dose, null, source)),
+    ...registered.map(child => createAuditEntry('children', 'delete', child, null, source)),
+    ...caregivers.map(household => createAuditEntry('households', 'delete', household, null, source))
+  ]);
 }
 
-// Delete Child
-async function deleteChild(index) {
-  if (confirm('Are you sure you want to delete this child and all their vaccination records?')) {
-    const child = children[index];
-    
-    try {
-      // Delete child and associated vaccinations
-      await db.transaction('rw', db.children, db.vaccinations, async () => {
-        await db.vaccinations.where('childId').equals(child.id).delete();
-        await db.children.delete(child.id);
-      });
-      
-      children.splice(index, 1);
-      updateChildTable();
-      updateViewRecordsModal();
-      updateStats();
-      updateAllTables();
-      showNotification('Child deleted successfully.', 'success');
-    } catch (error) {
-      console.error('Error deleting child:', error);
-      showNotification('Error deleting child. Please try again.', 'error');
+// Open History Modal with every recorded change to a child and their doses
+async function openHistoryModal(index) {
+  const child = children[index];
+  document.getElementById('historyChildName').textContent = `${child.name} (${child.regNo})`;
+  const tbody = document.querySelector('#historyTable tbody');
+  tbody.innerHTML = '';
+  document.getElementById('historyModal').style.display = 'flex';
+
+  try {
+    const entries = await db.auditLog.where('childUid').equals(child.uid).reverse().sortBy('timestamp');
+    if (entries.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">No changes recorded</td></tr>';
+      return;
     }
+
+    entries.forEach(entry => {
+      const record = entry.after || entry.before;
+      const fields = auditedFields[entry.table].filter(field => {
+        if (entry.action === 'update') return entry.before[field] !== entry.after[field];
+        return record[field];
+      });
+      let changes = fields.map(field => entry.action === 'update'
+        ? `${field}: "${entry.before[field]}" → "${entry.after[field]}"`
+        : `${field}: "${record[field]}"`
+      ).join('<br>');
+      if (entry.action === 'merge') {
+        changes = entry.table === 'children'
+          ? `Merged ${entry.before.name} (${entry.before.regNo}) into this record`
+          : `Moved from a merged duplicate record<br>${changes}`;
+      }
+      const source = auditSources[entry.source] ? ` (${auditSources[entry.source]})` : '';
+
+      const row = document.createElement('tr');
+      row.innerHTML = `
+        <td>${new Date(entry.timestamp).toLocaleString()}</td>
+        <td>${entry.operator || (entry.source === 'sync' ? 'Another device' : 'Not recorded')}</td>
+        <td>${entry.table === 'children' ? 'Child details' : entry.table === 'tracing' ? 'Defaulter tracing' : formatVaccineLabel(record.vaccine)}</td>
+        <td>${entry.action}${source}</td>
+        <td>${changes}</td>
+      `;
+      tbody.appendChild(row);
+    });
+  } catch (error) {
+    console.error('Error loading change history:', error);
+    showNotification('Error loading change history. Please try again.', 'error');
   }
 }
 
-// Filter Children
-function filterChildren() {
-  const searchTerm = document.getElementById('search').value.toLowerCase();
-  const filteredChildren = children.filter(child =>
-    child.name.toLowerCase().includes(searchTerm) || child.regNo.includes(searchTerm)
-  );
-  updateChildTable(filteredChildren);
+// Close History Modal
+function closeHistoryModal() {
+  document.getElementById('historyModal').style.display = 'none';
 }
 
-// Export to CSV
-function exportToCSV() {
-  const headers = ["Reg No.", "Name", "Vaccine", "Date Given", "Next Visit", "Status"];
-  const data = [];
+// Restore points: automatic snapshots of the register kept in the backups table.
+// One is taken each day the app is used and before every destructive action.
+const snapshotReasons = {
+  daily: 'Daily',
+  'before-clear': 'Before clearing all data',
+  'before-restore': 'Before restoring a backup',
+  'before-import': 'Before merging a backup',
+  'before-delete': 'Before deleting a child',
+  'before-merge': 'Before merging duplicate children'
+};
+const defaultSnapshotRetention = { days: 30, count: 20 };
+const snapshotChildFields = ['regNo', 'name', 'dob', 'sex', 'address', 'contact'];
+const snapshotDoseFields = ['vaccine', 'dateGiven', 'batchNumber', 'placeGiven', 'remarks', 'nextVisit'];
 
-  // Add all vaccination records to CSV
-  children.forEach(child => {
-    child.vaccinations.forEach(vaccination => {
-      const today = new Date();
-      let status = 'Upcoming';
-      
-      if (vaccination.dateGiven) {
-        status = 'Completed';
-      } else if (vaccination.nextVisit) {
-        const nextVisitDate = new Date(vaccination.nextVisit);
-        if (nextVisitDate < today) {
-          const daysOverdue = Math.floor((today - nextVisitDate) / (1000 * 60 * 60 * 24));
-          status = `Overdue (${daysOverdue} days)`;
-        } else {
-          const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
-          status = `Due in ${daysUntil} days`;
-        }
-      }
+// Retention of restore points: kept for `days` days, never more than `count`
+async function getSnapshotRetention() {
+  const setting = await db.settings.get('snapshotRetention');
+  return { ...defaultSnapshotRetention, ...(setting ? setting.value : {}) };
+}
 
-      data.push([
-        child.regNo,
-        child.name,
-        vaccination.vaccine,
-        formatDate(vaccination.dateGiven) || 'N/A',
-        formatDate(vaccination.nextVisit) || 'N/A',
-        status
-      ]);
-    });
+// Save a snapshot of the register. Throws if it cannot be saved, so callers
+// do not go on to delete data without a restore point.
+async function createSnapshot(reason, note = '') {
+  const envelope = await createBackupEnvelope();
+  await db.backups.add({
+    date: envelope.createdAt,
+    reason,
+    note,
+    counts: envelope.counts,
+    data: envelope
+  });
+  await pruneSnapshots();
+}
+
+// Take today's snapshot unless there already is one or the register is empty
+async function createDailySnapshot() {
+  try {
+    const today = new Date().toISOString().split('T')[0];
+    const todays = await db.backups.where('date').aboveOrEqual(today).toArray();
+    if (todays.some(snapshot => snapshot.reason === 'daily')) return;
+    if (await db.children.count() === 0) return;
+    await createSnapshot('daily');
+  } catch (error) {
+    console.error('Error creating daily restore point:', error);
+  }
+}
+
+// Delete restore points beyond the retention settings
+async function pruneSnapshots() {
+  const retention = await getSnapshotRetention();
+  const oldest = addDays(new Date().toISOString().split('T')[0], -retention.days);
+  const snapshots = await db.backups.orderBy('date').reverse().primaryKeys();
+  const expired = await db.backups.where('date').below(oldest).primaryKeys();
+  const excess = snapshots.slice(retention.count);
+  await db.backups.bulkDelete([...new Set([...expired, ...excess])]);
+}
+
+// Open Restore Points Modal
+async function openSnapshotModal() {
+  if (!requirePermission('restoreData')) return;
+  const retention = await getSnapshotRetention();
+  document.getElementById('snapshotRetentionDays').value = retention.days;
+  document.getElementById('snapshotRetentionCount').value = retention.count;
+  document.getElementById('snapshotDiff').innerHTML = '';
+  await renderSnapshotList();
+  document.getElementById('snapshotModal').style.display = 'flex';
+}
+
+// Close Restore Points Modal
+function closeSnapshotModal() {
+  document.getElementById('snapshotModal').style.display = 'none';
+}
+
+// List restore points, newest first
+async function renderSnapshotList() {
+  const snapshots = await db.backups.orderBy('date').reverse().toArray();
+  const tbody = document.querySelector('#snapshotTable tbody');
+  tbody.innerHTML = '';
+
+  if (snapshots.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="5">No restore points yet.</td></tr>';
+    return;
+  }
+
+  snapshots.forEach(snapshot => {
+    const row = document.createElement('tr');
+    const reason = snapshotReasons[snapshot.reason] || snapshot.reason;
+    row.innerHTML = `
+      <td>${new Date(snapshot.date).toLocaleString()}</td>
+      <td>${reason}${snapshot.note ? `: ${snapshot.note}` : ''}</td>
+      <td>${snapshot.counts.children}</td>
+      <td>${snapshot.counts.vaccinations}</td>
+      <td>
+        <button onclick="compareSnapshot(${snapshot.id})" class="secondary">🔍 Compare</button>
+        <button onclick="restoreSnapshot(${snapshot.id})">♻️ Restore</button>
+        <button onclick="downloadSnapshot(${snapshot.id})" class="secondary">💾 Download</button>
+      </td>
+    `;
+    tbody.appendChild(row);
   });
+}
 
-  const csvContent = "data:text/csv;charset=utf-8," +
-    [headers, ...data].map(row => row.join(",")).join("\n");
-  const encodedUri = encodeURI(csvContent);
-  const link = document.createElement("a");
-  link.setAttribute("href", encodedUri);
-  link.setAttribute("download", `immunization_records_${new Date().toISOString().split('T')[0]}.csv`);
-  document.body.appendChild(link);
-  link.click();
-  showNotification('CSV exported successfully!', 'success');
+// Save the retention settings and apply them
+async function saveSnapshotRetention() {
+  if (!requirePermission('manageSettings')) return;
+  const days = parseInt(document.getElementById('snapshotRetentionDays').value, 10);
+  const count = parseInt(document.getElementById('snapshotRetentionCount').value, 10);
+  if (!(days >= 1) || !(count >= 1)) {
+    showNotification('Keep restore points for at least 1 day and keep at least 1 of them.', 'error');
+    return;
+  }
+
+  try {
+    await db.settings.put({ id: 'snapshotRetention', value: { days, count } });
+    await pruneSnapshots();
+    await renderSnapshotList();
+    showNotification('Restore point settings saved.', 'success');
+  } catch (error) {
+    console.error('Error saving restore point settings:', error);
+    showNotification('Error saving restore point settings. Please try again.', 'error');
+  }
 }
 
-// Print Records
-function printRecords() {
-  window.print();
+// Differences between a snapshot and the current register, matched by uid.
+// "before" is the snapshot's value and "after" the current one.
+function diffSnapshot(snapshotData, currentData) {
+  const byUid = records => new Map(records.map(record => [record.uid, record]));
+  const snapshotChildren = byUid(snapshotData.children);
+  const currentChildren = byUid(currentData.children);
+  const snapshotDoses = byUid(snapshotData.vaccinations);
+  const currentDoses = byUid(currentData.vaccinations);
+
+  const changedFields = (before, after, fields) => fields
+    .filter(field => (before[field] || '') !== (after[field] || ''))
+    .map(field => ({ field, before: before[field] || '', after: after[field] || '' }));
+  const childName = uid => {
+    const child = currentChildren.get(uid) || snapshotChildren.get(uid);
+    return child ? `${child.name} (${child.regNo})` : 'Unknown child';
+  };
+
+  const diff = {
+    addedChildren: currentData.children.filter(child => !snapshotChildren.has(child.uid)),
+    removedChildren: snapshotData.children.filter(child => !currentChildren.has(child.uid)),
+    changedChildren: [],
+    addedDoses: [],
+    removedDoses: [],
+    changedDoses: []
+  };
+
+  currentData.children.forEach(child => {
+    const before = snapshotChildren.get(child.uid);
+    const fields = before ? changedFields(before, child, snapshotChildFields) : [];
+    if (fields.length > 0) diff.changedChildren.push({ child, fields });
+  });
+
+  currentData.vaccinations.forEach(dose => {
+    const before = snapshotDoses.get(dose.uid);
+    if (!before) {
+      diff.addedDoses.push({ dose, childName: childName(dose.childUid) });
+      return;
+    }
+    const fields = changedFields(before, dose, snapshotDoseFields);
+    if (fields.length > 0) diff.changedDoses.push({ dose, childName: childName(dose.childUid), fields });
+  });
+  snapshotData.vaccinations.forEach(dose => {
+    if (!currentDoses.has(dose.uid)) diff.removedDoses.push({ dose, childName: childName(dose.childUid) });
+  });
+
+  return diff;
 }
 
-// Backup Data
-async function backupData() {
+// Show what changed in the register since a restore point
+async function compareSnapshot(id) {
   try {
-    const allData = {
+    const snapshot = await db.backups.get(id);
+    const { backup, errors } = await readBackup(JSON.stringify(snapshot.data));
+    if (errors.length > 0) {
+      showNotification('This restore point is damaged and cannot be compared.', 'error');
+      return;
+    }
+
+    const diff = diffSnapshot(backup.data, {
       children: await db.children.toArray(),
-      vaccinations: await db.vaccinations.toArray(),
-      facility: await db.facility.toArray(),
-      backupDate: new Date().toISOString()
-    };
-    
-    const data = JSON.stringify(allData, null, 2);
-    const blob = new Blob([data], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `immunization_backup_${new Date().toISOString().split('T')[0]}.json`;
-    link.click();
-    URL.revokeObjectURL(url);
-    showNotification('Backup downloaded successfully!', 'success');
+      vaccinations: await db.vaccinations.toArray()
+    });
+    const doseLabel = dose => `${formatVaccineLabel(dose.vaccine)}${dose.dateGiven ? ` given ${formatDate(dose.dateGiven)}` : dose.nextVisit ? ` booked for ${formatDate(dose.nextVisit)}` : ''}`;
+    const fieldChanges = fields => fields.map(f => `${f.field}: "${f.before}" → "${f.after}"`).join(', ');
+    const section = (title, items) => items.length === 0 ? '' :
+      `<h4>${title} (${items.length})</h4><ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>`;
+
+    const html = [
+      section('Children registered since', diff.addedChildren.map(child => `${child.name} (${child.regNo})`)),
+      section('Children deleted since', diff.removedChildren.map(child => `${child.name} (${child.regNo})`)),
+      section('Children edited since', diff.changedChildren.map(item => `${item.child.name} (${item.child.regNo}): ${fieldChanges(item.fields)}`)),
+      section('Doses recorded since', diff.addedDoses.map(item => `${item.childName}: ${doseLabel(item.dose)}`)),
+      section('Doses removed since', diff.removedDoses.map(item => `${item.childName}: ${doseLabel(item.dose)}`)),
+      section('Doses edited since', diff.changedDoses.map(item => `${item.childName}: ${formatVaccineLabel(item.dose.vaccine)} - ${fieldChanges(item.fields)}`))
+    ].join('');
+
+    document.getElementById('snapshotDiff').innerHTML =
+      `<h3>Changes since ${new Date(snapshot.date).toLocaleString()}</h3>` +
+      (html || '<p>The register is the same as this restore point.</p>');
   } catch (error) {
-    console.error('Error creating backup:', error);
-    showNotification('Error creating backup. Please try again.', 'error');
+    console.error('Error comparing restore point:', error);
+    showNotification('Error comparing restore point. Please try again.', 'error');
   }
 }
 
-// Restore Data
-document.getElementById('restoreFile').addEventListener('change', async function (e) {
-  const file = e.target.files[0];
-  if (file) {
-    const reader = new FileReader();
-    reader.onload = async function (event) {
-      try {
-        const data = JSON.parse(event.target.result);
-        
-        if (!data.children || !data.vaccinations) {
-          throw new Error('Invalid backup file format');
-        }
-        
-        if (!confirm(`This will replace all current data with backup data from ${data.backupDate ? new Date(data.backupDate).toLocaleDateString() : 'unknown date'}. Continue?`)) {
-          return;
-        }
-        
-        // Clear existing data
-        await db.transaction('rw', db.children, db.vaccinations, db.facility, async () => {
-          await db.children.clear();
-          await db.vaccinations.clear();
-          await db.facility.clear();
-          
-          // Import new data
-          if (data.children) await db.children.bulkAdd(data.children);
-          if (data.vaccinations) await db.vaccinations.bulkAdd(data.vaccinations);
-          if (data.facility) await db.facility.bulkAdd(data.facility);
-        });
-        
-        // Reload the app
-        await initApp();
-        showNotification('Data restored successfully!', 'success');
-      } catch (error) {
-        console.error('Error restoring data:', error);
-        showNotification('Invalid backup file. Please upload a valid JSON file.', 'error');
-      }
-    };
-    reader.readAsText(file);
+// Replace the register with a restore point
+async function restoreSnapshot(id) {
+  if (!requirePermission('restoreData')) return;
+  try {
+    const snapshot = await db.backups.get(id);
+    const { backup, errors } = await readBackup(JSON.stringify(snapshot.data));
+    if (errors.length > 0) {
+      showNotification('This restore point is damaged and cannot be restored.', 'error');
+      return;
+    }
+
+    if (!confirm(`Replace all current data with the restore point from ${new Date(snapshot.date).toLocaleString()}? A restore point of the current data is saved first.${restoreSyncWarning()}`)) {
+      return;
+    }
+
+    await createSnapshot('before-restore');
+    await replaceRegister(backup.data, backup.createdAt || snapshot.date);
+    closeSnapshotModal();
+    await initApp();
+    showNotification('Restore point restored successfully!', 'success');
+  } catch (error) {
+    console.error('Error restoring restore point:', error);
+    showNotification('Error restoring restore point. Your current data has not been changed.', 'error');
   }
-});
+}
+
+// Download a restore point as a backup file
+async function downloadSnapshot(id) {
+  if (!requirePermission('restoreData')) return;
+  try {
+    const snapshot = await db.backups.get(id);
+    downloadFile(JSON.stringify(snapshot.data, null, 2), `immunization_restore_point_${snapshot.date.split('T')[0]}.json`, 'application/json');
+  } catch (error) {
+    console.error('Error downloading restore point:', error);
+    showNotification('Error downloading restore point. Please try again.', 'error');
+  }
+}
 
 // Clear All Data
 async function clearAllData() {
-  if (confirm('Are you sure you want to clear ALL data? This cannot be undone and will delete all children and vaccination records.')) {
+  if (!requirePermission('clearData')) return;
+  if (confirm('Are you sure you want to clear ALL data? This will delete all children and vaccination records. A restore point is saved first.')) {
     try {
-      await db.transaction('rw', db.children, db.vaccinations, db.facility, async () => {
+      await createSnapshot('before-clear');
+      await db.transaction('rw', [db.children, db.vaccinations, db.households, db.tracing, db.facility, db.outbox, db.auditLog], async () => {
+        await auditClearedRegister('clear');
         await db.children.clear();
         await db.vaccinations.clear();
+        await db.households.clear();
+        await db.tracing.clear();
         await db.facility.clear();
+        await db.outbox.clear();
       });
+      await db.reminders.clear();
+      await resetSyncCursor();
       
       children = [];
+      households = new Map();
+      tracingLog = new Map();
       facilityName = '';
       document.getElementById('facilityName').value = '';
-      updateChildTable();
-      updateStats();
-      updateAllTables();
+      refreshChildViews();
       showNotification('All data has been cleared.', 'success');
     } catch (error) {
       console.error('Error clearing data:', error);
@@ -790,32 +5784,479 @@ async function showTodayAppointments() {
   }
 }
 
+// Reminders: text messages to caregivers before a visit and after a missed
+// vaccine. Messages are built from a template in the caregiver's language and
+// wait in a reminder outbox until sent through the SMS gateway, or by hand
+// from this device with an sms: link.
+const reminderLanguages = { en: 'English', tw: 'Twi', ee: 'Ewe', gaa: 'Ga', dag: 'Dagbani', ha: 'Hausa' };
+const reminderTypes = { upcoming: 'Upcoming visit', defaulter: 'Missed vaccine' };
+const reminderStatuses = { pending: 'Waiting', sent: 'Sent', failed: 'Failed', manual: 'Sent by hand', cancelled: 'Cancelled' };
+const MAX_REMINDER_ATTEMPTS = 3;
+const DEFAULT_REMINDER_DAYS_BEFORE = 2;
+
+// Placeholders: {caregiver}, {child}, {vaccine}, {date} and {facility}.
+// A language without its own template uses the English one.
+const defaultReminderTemplates = {
+  en: {
+    upcoming: 'Dear {caregiver}, {child} is due for {vaccine} on {date} at {facility}. Please bring the child health record book.',
+    defaulter: 'Dear {caregiver}, {child} missed {vaccine} due on {date}. Please bring the child to {facility} as soon as possible.'
+  }
+};
+
+// SMS gateways by name. A gateway factory takes the reminder settings and
+// returns { send({ to, message }) }, a promise of the gateway's message id.
+const smsGateways = {
+  mock: createMockSmsGateway,
+  http: createHttpSmsGateway
+};
+
+// Gateway for trying reminders out: nothing is delivered. Reminders it sends
+// are marked in the reminder list, which shows their text.
+function createMockSmsGateway() {
+  return {
+    send: async () => `mock-${generateUid()}`
+  };
+}
+
+// HTTP gateway for the protocol served by sms-server.js
+function createHttpSmsGateway(config) {
+  const baseUrl = config.endpoint.replace(/\/+$/, '');
+
+  return {
+    async send({ to, message }) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+      const response = await fetch(`${baseUrl}/sms/send`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ to, message, sender: config.sender || '' })
+      });
+      if (!response.ok) {
+        throw new Error(`SMS gateway responded with ${response.status}`);
+      }
+      return (await response.json()).id;
+    }
+  };
+}
+
+function getSmsGateway() {
+  const factory = smsGateways[reminderConfig.gateway];
+  if (!factory) throw new Error(`Unknown SMS gateway: ${reminderConfig.gateway}`);
+  return factory(reminderConfig);
+}
+
+// How many days before a visit its reminder is sent. 0 means on the day.
+function reminderDaysBefore() {
+  return reminderConfig.daysBefore === undefined ? DEFAULT_REMINDER_DAYS_BEFORE : Number(reminderConfig.daysBefore);
+}
+
+// Load the reminder settings and templates
+async function loadReminderSettings() {
+  const savedConfig = await db.settings.get('reminderConfig');
+  reminderConfig = savedConfig ? savedConfig.value : { gateway: '', daysBefore: DEFAULT_REMINDER_DAYS_BEFORE, autoSend: false };
+
+  const savedTemplates = await db.settings.get('reminderTemplates');
+  reminderTemplates = savedTemplates ? savedTemplates.value : defaultReminderTemplates;
+  renderLanguageOptions();
+}
+
+// Fill every language list from the languages reminders can be written in
+function renderLanguageOptions() {
+  const options = Object.entries(reminderLanguages)
+    .map(([code, label]) => `<option value="${code}">${label}</option>`)
+    .join('');
+  ['language', 'householdLanguage', 'templateLanguage'].forEach(id => {
+    document.getElementById(id).innerHTML = options;
+  });
+}
+
+// The template for a reminder type in a language, falling back to English
+function getReminderTemplate(language, type) {
+  const own = reminderTemplates[language] && reminderTemplates[language][type];
+  return own || (reminderTemplates.en && reminderTemplates.en[type]) || defaultReminderTemplates.en[type];
+}
+
+// Replace the {placeholders} of a template
+function fillTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
+
+// Build the reminder for one child's visit or missed doses, or null if
+// there is no phone number to send it to
+function buildReminder(child, type, dueItems) {
+  const household = getHousehold(child);
+  const to = household ? household.phones[0] : child.contact;
+  if (!to) return null;
+
+  const date = dueItems.map(item => item.dueDate).sort()[0];
+  const language = (household && household.language) || 'en';
+  const values = {
+    caregiver: (household && (household.motherName || household.caregiverName)) || 'Parent',
+    child: child.name,
+    vaccine: dueItems.map(item => item.vaccine).join(', '),
+    date: formatDate(date),
+    facility: facilityName || 'the clinic'
+  };
+
+  return {
+    key: `${type}|${child.uid}|${date}`,
+    childUid: child.uid,
+    regNo: child.regNo,
+    childName: child.name,
+    type,
+    date,
+    vaccines: dueItems.map(item => item.vaccine),
+    language,
+    to,
+    message: fillTemplate(getReminderTemplate(language, type), values),
+    status: 'pending',
+    attempts: 0
+  };
+}
+
+// Add reminders for visits due within the next few days and for children who
+// missed a vaccine. Each visit, and each start of missed doses, is reminded once.
+async function queueReminders() {
+  const today = new Date().toISOString().split('T')[0];
+  const daysBefore = reminderDaysBefore();
+  const candidates = [];
+  let noPhone = 0;
+
+  children.forEach(child => {
+    const { due } = getChildView(child);
+    const comingUp = due.filter(item => {
+      const days = daysBetween(today, item.dueDate);
+      return days >= 0 && days <= daysBefore;
+    });
+    const missed = due.filter(item => item.dueDate.split('T')[0] < today);
+
+    [['upcoming', comingUp], ['defaulter', missed]].forEach(([type, items]) => {
+      if (items.length === 0) return;
+      // Doses due on the same day go in one message
+      const firstDate = items.map(item => item.dueDate).sort()[0];
+      const reminder = buildReminder(child, type, type === 'upcoming' ? items.filter(item => item.dueDate === firstDate) : items);
+      if (reminder) {
+        candidates.push(reminder);
+      } else {
+        noPhone++;
+      }
+    });
+  });
+
+  const existing = new Set(await db.reminders.where('key').anyOf(candidates.map(reminder => reminder.key)).keys());
+  const added = candidates
+    .filter(reminder => !existing.has(reminder.key))
+    .map(reminder => ({ ...reminder, uid: generateUid(), createdAt: new Date() }));
+  await db.reminders.bulkAdd(added);
+  return { added: added.length, noPhone };
+}
+
+// Check a waiting reminder against the child's record as it is now. Returns
+// the reminder's up-to-date fields, or a cancellation when it no longer
+// applies: the child was deleted or merged into another record, the visit has
+// passed, or the vaccines were given or moved to another day since it was queued.
+function recheckReminder(reminder, today) {
+  const cancel = error => ({ status: 'cancelled', error });
+  const child = children.find(candidate => candidate.uid === reminder.childUid);
+  if (!child) return cancel('The child is no longer in the register');
+  if (reminder.type === 'upcoming' && reminder.date.split('T')[0] < today) return cancel('The visit date has passed');
+
+  // Reminders queued before vaccines were kept cover everything due on their date
+  const items = getChildView(child).due.filter(item => {
+    if (reminder.vaccines && !reminder.vaccines.includes(item.vaccine)) return false;
+    return reminder.type === 'upcoming' ? item.dueDate === reminder.date : item.dueDate.split('T')[0] < today;
+  });
+  if (items.length === 0) {
+    return cancel(reminder.type === 'upcoming' ? 'The vaccines were given or moved to another day' : 'The missed vaccines have been given');
+  }
+
+  // Some of the vaccines may have been given, or the phone number changed
+  const current = buildReminder(child, reminder.type, items);
+  if (!current) return cancel('The household has no phone number');
+  return { to: current.to, message: current.message, language: current.language, vaccines: current.vaccines };
+}
+
+// Check every waiting reminder against the register before it is shown or
+// sent. Returns the reminders still waiting, as updated.
+async function recheckWaitingReminders() {
+  const today = new Date().toISOString().split('T')[0];
+  const waiting = await db.reminders.where('status').anyOf('pending', 'failed').toArray();
+  const stillWaiting = [];
+
+  for (const reminder of waiting) {
+    const changes = recheckReminder(reminder, today);
+    await db.reminders.update(reminder.id, changes);
+    if (changes.status !== 'cancelled') stillWaiting.push({ ...reminder, ...changes });
+  }
+  return stillWaiting;
+}
+
+// Send waiting reminders through the SMS gateway. Failed messages are tried
+// again on later runs; reminders that no longer apply are cancelled first.
+async function sendPendingReminders() {
+  const gateway = getSmsGateway();
+  const waiting = await recheckWaitingReminders();
+  const result = { sent: 0, failed: 0 };
+
+  for (const reminder of waiting) {
+    if (reminder.attempts >= MAX_REMINDER_ATTEMPTS) continue;
+
+    try {
+      const gatewayId = await gateway.send({ to: reminder.to, message: reminder.message });
+      await db.reminders.update(reminder.id, {
+        status: 'sent',
+        gateway: reminderConfig.gateway,
+        gatewayId: gatewayId || '',
+        sentAt: new Date(),
+        attempts: reminder.attempts + 1,
+        error: ''
+      });
+      result.sent++;
+    } catch (error) {
+      await db.reminders.update(reminder.id, { status: 'failed', attempts: reminder.attempts + 1, error: error.message });
+      result.failed++;
+    }
+  }
+  return result;
+}
+
+// Queue and send reminders in the background when automatic sending is on.
+// Nothing is sent while the app is locked, as with sync.
+async function sendScheduledReminders() {
+  if (!currentOperator || !reminderConfig.autoSend || !reminderConfig.gateway || !navigator.onLine) return;
+  try {
+    await queueReminders();
+    await sendPendingReminders();
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+  }
+}
+
+// Open Reminders Modal, adding any reminders that became due
+async function openRemindersModal() {
+  if (!requirePermission('recordDoses')) return;
+  document.getElementById('reminderGateway').value = reminderConfig.gateway || '';
+  document.getElementById('reminderEndpoint').value = reminderConfig.endpoint || '';
+  document.getElementById('reminderToken').value = reminderConfig.token || '';
+  document.getElementById('reminderSender').value = reminderConfig.sender || '';
+  document.getElementById('reminderDaysBefore').value = reminderDaysBefore();
+  document.getElementById('reminderAutoSend').checked = Boolean(reminderConfig.autoSend);
+  document.getElementById('templateLanguage').value = 'en';
+  showReminderTemplates();
+  document.getElementById('remindersModal').style.display = 'flex';
+
+  try {
+    await queueReminders();
+    await recheckWaitingReminders();
+  } catch (error) {
+    console.error('Error queueing reminders:', error);
+  }
+  await renderReminders();
+}
+
+// Close Reminders Modal
+function closeRemindersModal() {
+  document.getElementById('remindersModal').style.display = 'none';
+}
+
+// Load the reminder outbox, newest first, and show it
+async function renderReminders() {
+  const status = document.getElementById('reminderStatusFilter').value;
+  const reminders = await db.reminders.orderBy('createdAt').reverse().toArray();
+  reminderList = status ? reminders.filter(reminder => reminder.status === status) : reminders;
+  renderReminderTable();
+}
+
+function renderReminderTable() {
+  const tbody = document.querySelector('#reminderTable tbody');
+  renderPager('reminderTable', reminderList.length);
+  if (reminderList.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No reminders</td></tr>';
+    return;
+  }
+
+  tbody.innerHTML = pageOf('reminderTable', reminderList).map(reminder => {
+    const open = reminder.status === 'pending' || reminder.status === 'failed';
+    const smsLink = `sms:${reminder.to.replace(/[^\d+]/g, '')}?body=${encodeURIComponent(reminder.message)}`;
+    return `
+      <tr>
+        <td>${formatDate(reminder.createdAt)}</td>
+        <td>${reminder.regNo} ${reminder.childName}</td>
+        <td>${reminderTypes[reminder.type]}<br><small>${formatDate(reminder.date)}</small></td>
+        <td>${reminder.to}</td>
+        <td class="reminder-message">${reminder.message}<br><small>${reminderLanguages[reminder.language] || reminder.language}</small></td>
+        <td class="reminder-${reminder.status}">${reminderStatuses[reminder.status]}${reminder.gateway === 'mock' ? '<br><small>Test gateway: not delivered</small>' : ''}${reminder.error ? `<br><small>${reminder.error}</small>` : ''}${reminder.sentAt ? `<br><small>${formatDate(reminder.sentAt)}</small>` : ''}</td>
+        <td>
+          ${open ? `<a href="${smsLink}" onclick="markReminderSentByHand(${reminder.id})" class="button-link">📱 Send by Hand</a>` : ''}
+          ${reminder.status === 'failed' ? `<button onclick="retryReminder(${reminder.id})" class="secondary">🔁 Retry</button>` : ''}
+          ${open ? `<button onclick="cancelReminder(${reminder.id})" class="secondary">✖️ Cancel</button>` : ''}
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+// Look for new reminders to send
+async function checkReminders() {
+  if (!requirePermission('recordDoses')) return;
+  try {
+    const { added, noPhone } = await queueReminders();
+    await recheckWaitingReminders();
+    await renderReminders();
+    showNotification(`${added} new reminder(s) added.${noPhone ? ` ${noPhone} child(ren) have no phone number.` : ''}`, 'info');
+  } catch (error) {
+    console.error('Error queueing reminders:', error);
+    showNotification('Error preparing reminders. Please try again.', 'error');
+  }
+}
+
+// Send waiting reminders now
+async function sendRemindersNow() {
+  if (!requirePermission('recordDoses')) return;
+  if (!reminderConfig.gateway) {
+    showNotification('No SMS gateway is set up. Use "Send by Hand" to send each message from this device.', 'info');
+    return;
+  }
+  if (!navigator.onLine && reminderConfig.gateway !== 'mock') {
+    showNotification('You are offline. Reminders will wait until the connection returns.', 'info');
+    return;
+  }
+
+  try {
+    const { sent, failed } = await sendPendingReminders();
+    await renderReminders();
+    showNotification(`${sent} reminder(s) sent${failed ? `, ${failed} failed` : ''}.`, failed ? 'error' : 'success');
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+    showNotification('Error sending reminders. Please check the SMS gateway settings.', 'error');
+  }
+}
+
+// The sms: link opens the phone's messaging app; the reminder counts as sent
+async function markReminderSentByHand(id) {
+  if (!requirePermission('recordDoses')) return;
+  await db.reminders.update(id, { status: 'manual', sentAt: new Date(), error: '' });
+  await renderReminders();
+}
+
+async function retryReminder(id) {
+  if (!requirePermission('recordDoses')) return;
+  await db.reminders.update(id, { status: 'pending', attempts: 0, error: '' });
+  await renderReminders();
+}
+
+async function cancelReminder(id) {
+  if (!requirePermission('recordDoses')) return;
+  await db.reminders.update(id, { status: 'cancelled' });
+  await renderReminders();
+}
+
+// Save the SMS gateway settings
+async function saveReminderSettings() {
+  if (!requirePermission('manageSettings')) return;
+  const gateway = document.getElementById('reminderGateway').value;
+  const endpoint = document.getElementById('reminderEndpoint').value.trim();
+  const daysBefore = parseInt(document.getElementById('reminderDaysBefore').value, 10);
+
+  if (gateway === 'http' && !/^https?:\/\//i.test(endpoint)) {
+    showNotification('The SMS gateway address must start with http:// or https://.', 'error');
+    return;
+  }
+  if (!(daysBefore >= 0 && daysBefore <= 14)) {
+    showNotification('Remind between 0 and 14 days before a visit.', 'error');
+    return;
+  }
+
+  const newConfig = {
+    gateway,
+    endpoint,
+    token: document.getElementById('reminderToken').value.trim(),
+    sender: document.getElementById('reminderSender').value.trim(),
+    daysBefore,
+    autoSend: document.getElementById('reminderAutoSend').checked
+  };
+
+  try {
+    await db.settings.put({ id: 'reminderConfig', value: newConfig });
+    reminderConfig = newConfig;
+    showNotification('Reminder settings saved successfully!', 'success');
+  } catch (error) {
+    console.error('Error saving reminder settings:', error);
+    showNotification('Error saving reminder settings. Please try again.', 'error');
+  }
+}
+
+// Show the templates of the chosen language. An empty template uses English.
+function showReminderTemplates() {
+  const language = document.getElementById('templateLanguage').value;
+  const own = reminderTemplates[language] || {};
+  Object.keys(reminderTypes).forEach(type => {
+    const input = document.getElementById(`template-${type}`);
+    input.value = own[type] || '';
+    input.placeholder = getReminderTemplate('en', type);
+  });
+}
+
+// Save the templates of the chosen language
+async function saveReminderTemplates() {
+  if (!requirePermission('manageSettings')) return;
+  const language = document.getElementById('templateLanguage').value;
+  const templates = {};
+  Object.keys(reminderTypes).forEach(type => {
+    templates[type] = document.getElementById(`template-${type}`).value.trim();
+  });
+  if (language === 'en' && Object.values(templates).some(template => !template)) {
+    showNotification('The English templates are used when a language has none, so they cannot be empty.', 'error');
+    return;
+  }
+
+  const newTemplates = { ...reminderTemplates, [language]: templates };
+  try {
+    await db.settings.put({ id: 'reminderTemplates', value: newTemplates });
+    reminderTemplates = newTemplates;
+    showNotification(`${reminderLanguages[language]} templates saved. New reminders will use them.`, 'success');
+  } catch (error) {
+    console.error('Error saving reminder templates:', error);
+    showNotification('Error saving the templates. Please try again.', 'error');
+  }
+}
+
 // View All Records
 document.getElementById('viewAll').addEventListener('click', () => {
   const modal = document.getElementById('viewRecordsModal');
   modal.style.display = 'flex';
+  updateViewRecordsModal();
+});
+
+// Refresh the View Records modal while it is open, keeping the children selected
+function updateViewRecordsModal() {
+  if (document.getElementById('viewRecordsModal').style.display !== 'flex') return;
 
   const select = document.getElementById('selectChildren');
-  select.innerHTML = children.map((child, index) => `
-    <option value="${index}">${child.regNo} - ${child.name}</option>
+  const selected = new Set(Array.from(select.selectedOptions).map(option => option.value));
+  select.innerHTML = children.map(child => `
+    <option value="${child.uid}" ${selected.has(child.uid) ? 'selected' : ''}>${child.regNo} - ${child.name}</option>
   `).join('');
-});
+  if (selected.size > 0) viewSelectedChildrenRecords();
+}
 
 // View Selected Children Records
 function viewSelectedChildrenRecords() {
   const select = document.getElementById('selectChildren');
-  const selectedIndices = Array.from(select.selectedOptions).map(option => option.value);
+  const selectedChildren = Array.from(select.selectedOptions)
+    .map(option => children.find(child => child.uid === option.value))
+    .filter(Boolean);
 
   const tbody = document.querySelector('#viewRecordsTable tbody');
   tbody.innerHTML = '';
 
-  if (selectedIndices.length === 0) {
+  if (selectedChildren.length === 0) {
     tbody.innerHTML = '<tr><td colspan="9" style="text-align: center;">Please select at least one child</td></tr>';
     return;
   }
 
-  selectedIndices.forEach(index => {
-    const child = children[index];
+  selectedChildren.forEach(child => {
     const firstRow = document.createElement('tr');
     firstRow.innerHTML = `
       <td>${child.regNo}</td>
@@ -876,38 +6317,140 @@ function formatDate(dateString) {
   return `${day}/${month}/${year}`;
 }
 
-// Update All Tables
-function updateAllTables() {
+// Format a due vaccine for the dashboard tables, marking manual bookings
+function formatDueVaccine(due) {
+  return due.booked ? `${due.vaccine} (booked)` : due.vaccine;
+}
+
+// ===== Register views =====
+// What the register and dashboard show for a child (due vaccines, status and
+// dashboard entries) is worked out once and kept until that child changes, so
+// a save only recomputes the child saved. Long tables show one page at a time.
+const PAGE_SIZE = 50;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+// Work out a child's due vaccines, status and dashboard entries
+function buildChildView(child) {
+  const today = new Date();
+  const due = getDueVaccines(child);
+  const daysUntil = item => Math.ceil((new Date(item.dueDate) - today) / MS_PER_DAY);
+  const earliest = list => list.reduce((prev, current) => new Date(prev.dueDate) <= new Date(current.dueDate) ? prev : current);
+
+  const missed = due.filter(item => new Date(item.dueDate) < today);
+  const dueSoon = due.filter(item => daysUntil(item) > 0 && daysUntil(item) <= 7);
+  const upcoming = due.filter(item => daysUntil(item) > 7 && daysUntil(item) <= 30);
+  const mostOverdue = missed.length > 0 ? earliest(missed) : null;
+  const closestDueSoon = dueSoon.length > 0 ? earliest(dueSoon) : null;
+  const closestUpcoming = upcoming.length > 0 ? earliest(upcoming) : null;
+
+  return {
+    due,
+    status: getChildStatus(child, due),
+    defaulter: mostOverdue && { due: mostOverdue, daysOverdue: Math.floor((today - new Date(mostOverdue.dueDate)) / MS_PER_DAY) },
+    dueSoon: closestDueSoon && { due: closestDueSoon, daysUntil: daysUntil(closestDueSoon) },
+    upcoming: closestUpcoming && { due: closestUpcoming, daysUntil: daysUntil(closestUpcoming) }
+  };
+}
+
+// A child's view, worked out again when the child changed or the day turned
+function getChildView(child) {
+  const todayString = new Date().toISOString().split('T')[0];
+  if (childViewsDate !== todayString) {
+    childViews = new WeakMap();
+    childViewsDate = todayString;
+  }
+  if (!childViews.has(child)) childViews.set(child, buildChildView(child));
+  return childViews.get(child);
+}
+
+// Refresh the register and dashboard after a change. Given the one child that
+// was saved or deleted, only that child is worked out again and dashboard
+// tables it was not and is not listed in are left alone. Without a child
+// (after a reload, restore or schedule change) everything is worked out again.
+function refreshChildViews(child = null) {
+  const before = child ? childViews.get(child) : null;
+  if (child) {
+    childViews.delete(child);
+  } else {
+    childViews = new WeakMap();
+  }
+  const after = child && children.includes(child) ? getChildView(child) : null;
+  const affects = list => !child || !before || Boolean(before[list]) || Boolean(after && after[list]);
+
+  updateStats();
+  updateChildTable();
   updateAllRecordsTable();
-  updateDefaultersTable();
-  updateDueSoonTable();
-  updateUpcomingTable();
+  if (affects('defaulter')) updateDefaultersTable();
+  if (affects('dueSoon')) updateDueSoonTable();
+  if (affects('upcoming')) updateUpcomingTable();
+  updateViewRecordsModal();
+}
+
+// Renderers of the paged tables, by table id
+const pagedTables = {
+  childTable: () => updateChildTable(),
+  allRecordsTable: () => updateAllRecordsTable(),
+  defaultersTable: () => updateDefaultersTable(),
+  dueSoonTable: () => updateDueSoonTable(),
+  upcomingTable: () => updateUpcomingTable(),
+  reminderTable: () => renderReminderTable()
+};
+
+// The rows of a list on the table's current page
+function pageOf(tableId, list) {
+  if (printAllPages) return list;
+  const start = (tablePages[tableId] || 0) * PAGE_SIZE;
+  return list.slice(start, start + PAGE_SIZE);
+}
+
+// Show the page controls under a table, moving back a page if its rows are gone
+function renderPager(tableId, total) {
+  const pageCount = Math.max(Math.ceil(total / PAGE_SIZE), 1);
+  tablePages[tableId] = Math.min(tablePages[tableId] || 0, pageCount - 1);
+  const page = tablePages[tableId];
+  const pager = document.getElementById(`${tableId}Pager`);
+
+  if (pageCount === 1) {
+    pager.innerHTML = '';
+    return;
+  }
+  pager.innerHTML = `
+    <button onclick="goToPage('${tableId}', ${page - 1})" class="secondary" ${page === 0 ? 'disabled' : ''}>◀ Previous</button>
+    <span>${page * PAGE_SIZE + 1}-${Math.min((page + 1) * PAGE_SIZE, total)} of ${total} (page ${page + 1} of ${pageCount})</span>
+    <button onclick="goToPage('${tableId}', ${page + 1})" class="secondary" ${page === pageCount - 1 ? 'disabled' : ''}>Next ▶</button>
+  `;
+}
+
+// Show another page of a table
+function goToPage(tableId, page) {
+  tablePages[tableId] = Math.max(page, 0);
+  pagedTables[tableId]();
 }
 
 // Update All Records Table - Now shows each child only once with summary info
 function updateAllRecordsTable() {
   const tbody = document.querySelector('#allRecordsTable tbody');
   tbody.innerHTML = '';
+  renderPager('allRecordsTable', children.length);
 
   if (children.length === 0) {
     tbody.innerHTML = '<tr><td colspan="7" style="text-align: center;">No children registered</td></tr>';
     return;
   }
 
-  children.forEach((child, index) => {
-    const today = new Date();
-    
+  const today = new Date();
+  tbody.innerHTML = pageOf('allRecordsTable', children).map(child => {
     // Get completed vaccines
     const completedVaccines = child.vaccinations
       .filter(v => v.dateGiven)
-      .map(v => v.vaccine.split(' at ')[0])
+      .map(v => v.vaccine)
       .join(', ');
     
     // Get booked vaccines with next visit dates
     const bookedVaccines = child.vaccinations
       .filter(v => v.nextVisit && !v.dateGiven)
       .map(v => ({
-        vaccine: v.vaccine.split(' at ')[0],
+        vaccine: v.vaccine,
         nextVisit: v.nextVisit
       }));
     
@@ -916,147 +6459,316 @@ function updateAllRecordsTable() {
     const earliestNextVisit = nextVisitDates.length > 0 ? 
       new Date(Math.min(...nextVisitDates)) : null;
     
-    // Determine status
-    let status = 'Up to date';
+    // Determine status: the child's immunization status, then the next booking
+    let status = '';
     let rowClass = '';
     
     if (bookedVaccines.length > 0) {
       if (earliestNextVisit < today) {
-        const daysOverdue = Math.floor((today - earliestNextVisit) / (1000 * 60 * 60 * 24));
+        const daysOverdue = Math.floor((today - earliestNextVisit) / MS_PER_DAY);
         status = `Overdue (${daysOverdue} days)`;
         rowClass = 'highlight-red';
       } else {
-        const daysUntil = Math.ceil((earliestNextVisit - today) / (1000 * 60 * 60 * 24));
-        if (daysUntil <= 7) {
-          status = `Due in ${daysUntil} days`;
-          rowClass = 'highlight-yellow';
-        } else {
-          status = `Due in ${daysUntil} days`;
-        }
-      }
-    }
-
-    const row = document.createElement('tr');
-    if (rowClass) row.className = rowClass;
-    row.innerHTML = `
-      <td>${child.regNo}</td>
-      <td>${child.name}</td>
-      <td>${completedVaccines || 'None'}</td>
-      <td>${bookedVaccines.map(v => `${v.vaccine}`).join(', ') || 'None'}</td>
-      <td>${earliestNextVisit ? formatDate(earliestNextVisit) : 'N/A'}</td>
-      <td>${status}</td>
-      <td><button onclick="openImmunizationModal(${index})">Update</button></td>
+        const daysUntil = Math.ceil((earliestNextVisit - today) / MS_PER_DAY);
+        status = `Due in ${daysUntil} days`;
+        if (daysUntil <= 7) rowClass = 'highlight-yellow';
+      }
+    }
+
+    return `
+      <tr class="${rowClass}">
+        <td>${child.regNo}</td>
+        <td>${child.name}</td>
+        <td>${completedVaccines || 'None'}</td>
+        <td>${bookedVaccines.map(v => `${v.vaccine}`).join(', ') || 'None'}</td>
+        <td>${earliestNextVisit ? formatDate(earliestNextVisit) : 'N/A'}</td>
+        <td>${renderStatusBadges(child)}${status ? `<br>${status}` : ''}</td>
+        <td><button onclick="openImmunizationModal(${children.indexOf(child)})">Update</button></td>
+      </tr>
     `;
-    tbody.appendChild(row);
-  });
+  }).join('');
+}
+
+// Children listed in one of the dashboard tables, each once, soonest or most overdue first
+function getDashboardList(list) {
+  return children
+    .map(child => ({ child, ...getChildView(child)[list] }))
+    .filter(item => item.due)
+    .sort((a, b) => new Date(a.due.dueDate) - new Date(b.due.dueDate));
 }
 
 // Update Defaulters Table - Now counts each child only once
 function updateDefaultersTable() {
-  const today = new Date();
-  const defaultersList = [];
-  const countedChildren = new Set(); // Track children we've already counted
-  
-  // Find all defaulters (children with missed Next Visit dates)
-  children.forEach(child => {
-    if (countedChildren.has(child.regNo)) return; // Skip if already counted
-    
-    const missedVaccines = child.vaccinations.filter(v => {
-      if (v.nextVisit && !v.dateGiven) {
-        const nextVisitDate = new Date(v.nextVisit);
-        return nextVisitDate < today;
-      }
-      return false;
-    });
-    
-    if (missedVaccines.length > 0) {
-      countedChildren.add(child.regNo); // Mark this child as counted
-      
-      // Find the most overdue vaccine for this child
-      const mostOverdue = missedVaccines.reduce((prev, current) => {
-        const prevDate = new Date(prev.nextVisit);
-        const currentDate = new Date(current.nextVisit);
-        return prevDate < currentDate ? prev : current;
-      });
-      
-      const nextVisitDate = new Date(mostOverdue.nextVisit);
-      const daysOverdue = Math.floor((today - nextVisitDate) / (1000 * 60 * 60 * 24));
-      
-      defaultersList.push({
-        child,
-        vaccination: mostOverdue,
-        daysOverdue
-      });
-    }
-  });
-
+  const defaultersList = getDashboardList('defaulter');
   const tbody = document.querySelector('#defaultersTable tbody');
-  tbody.innerHTML = defaultersList.map(defaulter => {
+  renderPager('defaultersTable', defaultersList.length);
+  tbody.innerHTML = pageOf('defaultersTable', defaultersList).map(defaulter => {
     return `
       <tr>
         <td>${defaulter.child.regNo}</td>
         <td>${defaulter.child.name}</td>
-        <td>${defaulter.vaccination.vaccine.split(' at ')[0]}</td>
-        <td class="highlight-red">${formatDate(defaulter.vaccination.nextVisit)}</td>
+        <td>${formatDueVaccine(defaulter.due)}</td>
+        <td class="highlight-red">${formatDate(defaulter.due.dueDate)}</td>
         <td class="highlight-red">${defaulter.daysOverdue}</td>
-        <td><button onclick="openImmunizationModal(${children.indexOf(defaulter.child)})">Update</button></td>
+        <td>${formatCaregiver(defaulter.child)}</td>
+        <td>${formatTracingStatus(defaulter.child, defaulter.due.dueDate)}</td>
+        <td>
+          <button onclick="openImmunizationModal(${children.indexOf(defaulter.child)})">Update</button>
+          ${hasPermission('recordDoses') ? `<button onclick="openTracingModal(${children.indexOf(defaulter.child)})" class="secondary">📞 Trace</button>` : ''}
+        </td>
       </tr>
     `;
   }).join('');
 
   if (defaultersList.length === 0) {
-    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No defaulters found</td></tr>';
+    tbody.innerHTML = '<tr><td colspan="8" style="text-align: center;">No defaulters found</td></tr>';
   }
 }
 
-// Update Due Soon Table (7 days)
-function updateDueSoonTable() {
-  const today = new Date();
-  const dueSoonList = [];
-  const countedChildren = new Set(); // Track children we've already counted
-  
-  // Find all vaccines due in the next 7 days
-  children.forEach(child => {
-    if (countedChildren.has(child.regNo)) return; // Skip if already counted
-    
-    const dueSoonVaccines = child.vaccinations.filter(v => {
-      if (v.nextVisit && !v.dateGiven) {
-        const nextVisitDate = new Date(v.nextVisit);
-        const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
-        return daysUntil > 0 && daysUntil <= 7;
+// Defaulter tracing: each attempt to reach a defaulter's caregiver is logged
+// with how it was made and what came of it. An agreed new visit is booked for
+// the missed vaccines, which takes the child off the defaulters list until then.
+const tracingMethods = { call: 'Phone call', homeVisit: 'Home visit', volunteer: 'Community volunteer' };
+const tracingOutcomes = {
+  reached: 'Reached',
+  rescheduled: 'Rescheduled',
+  notReached: 'Not reached',
+  moved: 'Moved away',
+  refused: 'Refused',
+  deceased: 'Deceased'
+};
+// Outcomes after which a new visit can be booked
+const tracingVisitOutcomes = ['reached', 'rescheduled'];
+
+// A child's tracing attempts, oldest first, optionally only those on or after a date
+function getTracingAttempts(child, since = '') {
+  const attempts = tracingLog.get(child.uid) || [];
+  return since ? attempts.filter(attempt => attempt.date >= since.split('T')[0]) : attempts;
+}
+
+// Tracing status for the defaulters table: attempts since the vaccine was missed
+function formatTracingStatus(child, missedOn) {
+  const attempts = getTracingAttempts(child, missedOn);
+  if (attempts.length === 0) return '<span class="tracing-none">Not traced</span>';
+
+  const last = attempts[attempts.length - 1];
+  return `
+    <span class="tracing-${last.outcome}">${tracingOutcomes[last.outcome]}</span><br>
+    <small>${attempts.length} attempt(s), last ${formatDate(last.date)} by ${tracingMethods[last.method].toLowerCase()}</small>
+    ${last.newVisitDate ? `<br><small>New visit ${formatDate(last.newVisitDate)}</small>` : ''}
+  `;
+}
+
+// Vaccines a child has missed
+function getMissedVaccines(child) {
+  const today = new Date().toISOString().split('T')[0];
+  return getChildView(child).due.filter(item => item.dueDate.split('T')[0] < today);
+}
+
+// Open Tracing Modal for a defaulter
+function openTracingModal(index) {
+  if (!requirePermission('recordDoses')) return;
+  tracingChildIndex = index;
+  const child = children[index];
+
+  document.getElementById('tracingChildName').textContent = `${child.name} (${child.regNo})`;
+  document.getElementById('tracingMissed').textContent = `Missed: ${getMissedVaccines(child).map(formatDueVaccine).join(', ') || 'none'}`;
+  document.getElementById('tracingCaregiver').innerHTML = formatCaregiver(child);
+  document.getElementById('tracingDate').value = new Date().toISOString().split('T')[0];
+  document.getElementById('tracingMethod').value = 'call';
+  document.getElementById('tracingOutcome').value = 'reached';
+  document.getElementById('tracingNewVisit').value = '';
+  document.getElementById('tracingNotes').value = '';
+  toggleTracingVisitDate();
+  renderTracingAttempts(child);
+  document.getElementById('tracingModal').style.display = 'flex';
+}
+
+// Close Tracing Modal
+function closeTracingModal() {
+  tracingChildIndex = null;
+  document.getElementById('tracingModal').style.display = 'none';
+}
+
+// A new visit date is only asked for when the caregiver agreed to come
+function toggleTracingVisitDate() {
+  const outcome = document.getElementById('tracingOutcome').value;
+  document.getElementById('tracingVisitGroup').style.display = tracingVisitOutcomes.includes(outcome) ? 'block' : 'none';
+}
+
+function renderTracingAttempts(child) {
+  const attempts = getTracingAttempts(child);
+  const tbody = document.querySelector('#tracingTable tbody');
+  if (attempts.length === 0) {
+    tbody.innerHTML = '<tr><td colspan="6" style="text-align: center;">No tracing attempts recorded</td></tr>';
+    return;
+  }
+  tbody.innerHTML = [...attempts].reverse().map(attempt => `
+    <tr>
+      <td>${formatDate(attempt.date)}</td>
+      <td>${tracingMethods[attempt.method]}</td>
+      <td>${tracingOutcomes[attempt.outcome]}</td>
+      <td>${attempt.newVisitDate ? formatDate(attempt.newVisitDate) : ''}</td>
+      <td>${attempt.notes || ''}</td>
+      <td>${attempt.createdBy || ''}</td>
+    </tr>
+  `).join('');
+}
+
+// Log a tracing attempt and book the missed vaccines for the agreed visit
+async function saveTracingAttempt() {
+  if (!requirePermission('recordDoses')) return;
+  const child = children[tracingChildIndex];
+  const today = new Date().toISOString().split('T')[0];
+  const outcome = document.getElementById('tracingOutcome').value;
+  const missed = getMissedVaccines(child);
+  const attempt = {
+    childUid: child.uid,
+    date: document.getElementById('tracingDate').value,
+    method: document.getElementById('tracingMethod').value,
+    outcome,
+    newVisitDate: tracingVisitOutcomes.includes(outcome) ? document.getElementById('tracingNewVisit').value : '',
+    vaccines: missed.map(item => item.vaccine).join(', '),
+    notes: document.getElementById('tracingNotes').value.trim()
+  };
+
+  if (!attempt.date || attempt.date > today) {
+    showNotification('Please enter the date of the attempt. It cannot be in the future.', 'error');
+    return;
+  }
+  if (outcome === 'rescheduled' && !attempt.newVisitDate) {
+    showNotification('Please enter the new visit date agreed with the caregiver.', 'error');
+    return;
+  }
+  if (attempt.newVisitDate && attempt.newVisitDate < attempt.date) {
+    showNotification('The new visit date cannot be before the attempt.', 'error');
+    return;
+  }
+
+  const booking = attempt.newVisitDate && missed.length > 0
+    ? { date: attempt.newVisitDate, vaccines: missed.map(item => item.vaccine) }
+    : null;
+
+  try {
+    await db.transaction('rw', [db.tracing, db.children, db.vaccinations, db.outbox, db.auditLog, db.stockLedger], async () => {
+      assignRecordIdentity(attempt);
+      recordOperator(attempt, true);
+      stampRecord(attempt, syncedFields.tracing);
+      attempt.id = await db.tracing.add(attempt);
+      await queueChange('tracing', attempt);
+      await auditChange('tracing', 'create', null, attempt);
+
+      if (booking) {
+        await applyDoseChanges(planDoseChanges(child, [], booking));
+        child.vaccinations = await db.vaccinations.where('childId').equals(child.id).toArray();
+        updateDefaulterStatus(child);
+        await db.children.update(child.id, { isDefaulter: child.isDefaulter });
       }
-      return false;
     });
-    
-    if (dueSoonVaccines.length > 0) {
-      countedChildren.add(child.regNo); // Mark this child as counted
-      
-      // Find the vaccine with the closest due date
-      const closestDue = dueSoonVaccines.reduce((prev, current) => {
-        const prevDate = new Date(prev.nextVisit);
-        const currentDate = new Date(current.nextVisit);
-        return prevDate < currentDate ? prev : current;
-      });
-      
-      const nextVisitDate = new Date(closestDue.nextVisit);
-      const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
-      
-      dueSoonList.push({
-        child,
-        vaccination: closestDue,
-        daysUntil
-      });
-    }
+    scheduleSync();
+
+    const attempts = [...getTracingAttempts(child), attempt].sort((a, b) => a.date.localeCompare(b.date));
+    tracingLog.set(child.uid, attempts);
+    closeTracingModal();
+    refreshChildViews(child);
+    renderTracingSummary();
+    showNotification(booking ? `Tracing saved and visit booked for ${formatDate(booking.date)}.` : 'Tracing attempt saved.', 'success');
+  } catch (error) {
+    console.error('Error saving tracing attempt:', error);
+    showNotification('Error saving the tracing attempt. No changes were saved.', 'error');
+    // A failed booking may have changed the child's doses in memory
+    await loadChildren();
+    refreshChildViews();
+  }
+}
+
+// Tracing performance for a YYYY-MM month: how many defaulters were traced,
+// how, with what result, and how many came back for vaccination
+function getTracingSummary(month) {
+  const monthStart = `${month}-01`;
+  const monthEnd = `${month}-31`;
+  const byMethod = {};
+  const byOutcome = {};
+  Object.keys(tracingMethods).forEach(method => { byMethod[method] = 0; });
+  Object.keys(tracingOutcomes).forEach(outcome => { byOutcome[outcome] = 0; });
+
+  let attempts = 0;
+  let traced = 0;
+  let reached = 0;
+  let returned = 0;
+  children.forEach(child => {
+    const inMonth = getTracingAttempts(child).filter(attempt => attempt.date >= monthStart && attempt.date <= monthEnd);
+    if (inMonth.length === 0) return;
+
+    traced++;
+    attempts += inMonth.length;
+    inMonth.forEach(attempt => { byMethod[attempt.method]++; });
+    byOutcome[inMonth[inMonth.length - 1].outcome]++;
+    if (inMonth.some(attempt => tracingVisitOutcomes.includes(attempt.outcome))) reached++;
+    if (child.vaccinations.some(dose => dose.dateGiven && !isBooking(dose) && dose.dateGiven.split('T')[0] >= inMonth[0].date)) returned++;
   });
 
+  return {
+    month,
+    defaulters: children.filter(child => wasDefaulterOn(child, monthStart)).length,
+    traced,
+    attempts,
+    reached,
+    returned,
+    byMethod,
+    byOutcome
+  };
+}
+
+// Indicator rows of a tracing summary
+function tracingSummaryRows(summary) {
+  const percent = (count, total) => (total > 0 ? `${count} (${Math.round(count / total * 100)}%)` : String(count));
+  return [
+    ['Defaulters at the start of the month', summary.defaulters],
+    ['Defaulters traced', percent(summary.traced, summary.defaulters)],
+    ['Tracing attempts', summary.attempts],
+    ...Object.keys(tracingMethods).map(method => [`Attempts by ${tracingMethods[method].toLowerCase()}`, summary.byMethod[method]]),
+    ['Caregivers reached', percent(summary.reached, summary.traced)],
+    ...Object.keys(tracingOutcomes).map(outcome => [`Last outcome: ${tracingOutcomes[outcome]}`, summary.byOutcome[outcome]]),
+    ['Returned for vaccination', percent(summary.returned, summary.traced)]
+  ];
+}
+
+// Show the tracing summary of the selected month in the defaulters tab
+function renderTracingSummary() {
+  const monthInput = document.getElementById('tracingMonth');
+  if (!monthInput.value) monthInput.value = new Date().toISOString().slice(0, 7);
+  document.querySelector('#tracingSummaryTable tbody').innerHTML = tracingSummaryRows(getTracingSummary(monthInput.value))
+    .map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`)
+    .join('');
+}
+
+// Print the tracing summary for the district supervisor
+function printTracingSummary() {
+  const month = document.getElementById('tracingMonth').value;
+  const rows = tracingSummaryRows(getTracingSummary(month));
+  printReport(`Defaulter Tracing ${month}`, `
+    <h2>Defaulter Tracing Summary</h2>
+    <p>Facility: ${facilityName || '________________'} &nbsp; Month: ${month}</p>
+    <table>
+      <tr><th>Indicator</th><th>Value</th></tr>
+      ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+    </table>
+  `);
+}
+
+// Update Due Soon Table (7 days)
+function updateDueSoonTable() {
+  const dueSoonList = getDashboardList('dueSoon');
   const tbody = document.querySelector('#dueSoonTable tbody');
-  tbody.innerHTML = dueSoonList.map(item => {
+  renderPager('dueSoonTable', dueSoonList.length);
+  tbody.innerHTML = pageOf('dueSoonTable', dueSoonList).map(item => {
     return `
       <tr>
         <td>${item.child.regNo}</td>
         <td>${item.child.name}</td>
-        <td>${item.vaccination.vaccine.split(' at ')[0]}</td>
-        <td class="highlight-yellow">${formatDate(item.vaccination.nextVisit)}</td>
+        <td>${formatDueVaccine(item.due)}</td>
+        <td class="highlight-yellow">${formatDate(item.due.dueDate)}</td>
         <td class="highlight-yellow">${item.daysUntil}</td>
         <td><button onclick="openImmunizationModal(${children.indexOf(item.child)})">Update</button></td>
       </tr>
@@ -1070,52 +6782,16 @@ function updateDueSoonTable() {
 
 // Update Upcoming Table (30 days)
 function updateUpcomingTable() {
-  const today = new Date();
-  const upcomingList = [];
-  const countedChildren = new Set(); // Track children we've already counted
-  
-  // Find all vaccines due in the next 30 days (but more than 7 days)
-  children.forEach(child => {
-    if (countedChildren.has(child.regNo)) return; // Skip if already counted
-    
-    const upcomingVaccines = child.vaccinations.filter(v => {
-      if (v.nextVisit && !v.dateGiven) {
-        const nextVisitDate = new Date(v.nextVisit);
-        const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
-        return daysUntil > 7 && daysUntil <= 30;
-      }
-      return false;
-    });
-    
-    if (upcomingVaccines.length > 0) {
-      countedChildren.add(child.regNo); // Mark this child as counted
-      
-      // Find the vaccine with the closest due date
-      const closestDue = upcomingVaccines.reduce((prev, current) => {
-        const prevDate = new Date(prev.nextVisit);
-        const currentDate = new Date(current.nextVisit);
-        return prevDate < currentDate ? prev : current;
-      });
-      
-      const nextVisitDate = new Date(closestDue.nextVisit);
-      const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
-      
-      upcomingList.push({
-        child,
-        vaccination: closestDue,
-        daysUntil
-      });
-    }
-  });
-
+  const upcomingList = getDashboardList('upcoming');
   const tbody = document.querySelector('#upcomingTable tbody');
-  tbody.innerHTML = upcomingList.map(item => {
+  renderPager('upcomingTable', upcomingList.length);
+  tbody.innerHTML = pageOf('upcomingTable', upcomingList).map(item => {
     return `
       <tr>
         <td>${item.child.regNo}</td>
         <td>${item.child.name}</td>
-        <td>${item.vaccination.vaccine.split(' at ')[0]}</td>
-        <td>${formatDate(item.vaccination.nextVisit)}</td>
+        <td>${formatDueVaccine(item.due)}</td>
+        <td>${formatDate(item.due.dueDate)}</td>
         <td>${item.daysUntil}</td>
         <td><button onclick="openImmunizationModal(${children.indexOf(item.child)})">Update</button></td>
       </tr>
@@ -1129,38 +6805,15 @@ function updateUpcomingTable() {
 
 // Update Stats - Now counts each child only once
 function updateStats() {
-  const today = new Date();
   let defaulterCount = 0;
   let dueSoonCount = 0;
   let upcomingCount = 0;
-  const countedDefaulters = new Set();
-  const countedDueSoon = new Set();
-  const countedUpcoming = new Set();
-  
+
   children.forEach(child => {
-    let isDefaulter = false;
-    let isDueSoon = false;
-    let isUpcoming = false;
-    
-    child.vaccinations.forEach(vaccination => {
-      if (vaccination.nextVisit && !vaccination.dateGiven) {
-        const nextVisitDate = new Date(vaccination.nextVisit);
-        if (nextVisitDate < today) {
-          isDefaulter = true;
-        } else {
-          const daysUntil = Math.ceil((nextVisitDate - today) / (1000 * 60 * 60 * 24));
-          if (daysUntil <= 7) {
-            isDueSoon = true;
-          } else if (daysUntil <= 30) {
-            isUpcoming = true;
-          }
-        }
-      }
-    });
-    
-    if (isDefaulter) defaulterCount++;
-    if (isDueSoon) dueSoonCount++;
-    if (isUpcoming) upcomingCount++;
+    const view = getChildView(child);
+    if (view.defaulter) defaulterCount++;
+    if (view.dueSoon) dueSoonCount++;
+    if (view.upcoming) upcomingCount++;
   });
   
   document.getElementById('totalChildren').textContent = children.length;
@@ -1186,6 +6839,9 @@ function openTab(tabId) {
   
   // Activate the button for the selected tab
   event.currentTarget.classList.add('active');
+
+  if (tabId === 'analytics') renderAnalytics();
+  if (tabId === 'defaulters') renderTracingSummary();
 }
 
 // Scroll to section
@@ -1196,5 +6852,443 @@ function scrollToSection(sectionId) {
   });
 }
 
+// ===== Synchronisation =====
+// Local changes to children and vaccinations are queued in the outbox table
+// and exchanged with the facility's sync server when online. Merging follows
+// sync-protocol.js: per-field last-writer-wins ordered by version vectors.
+
+// Fields of each table that are synchronised between devices
+const syncedFields = {
+  children: ['regNo', 'name', 'dob', 'sex', 'address', 'contact', 'householdUid', 'transferIn', 'createdAt', 'updatedAt', 'deviceId', 'createdBy', 'updatedBy'],
+  tracing: ['childUid', 'date', 'method', 'outcome', 'newVisitDate', 'vaccines', 'notes', 'createdAt', 'updatedAt', 'deviceId', 'createdBy', 'updatedBy'],
+  households: ['motherName', 'caregiverName', 'phones', 'community', 'landmark', 'language', 'createdAt', 'updatedAt', 'deviceId', 'createdBy', 'updatedBy'],
+  vaccinations: ['childUid', 'vaccine', 'dateGiven', 'batchNumber', 'placeGiven', 'remarks', 'nextVisit', 'status', 'overrideReason', 'overrideWarnings', 'createdAt', 'updatedAt', 'deviceId', 'createdBy', 'updatedBy']
+};
+
+// Sync transports by name. A transport factory takes the sync config and
+// returns { push(payload), pull(cursor), districtSummary() }, each a promise.
+const syncTransports = {
+  http: createHttpSyncTransport
+};
+
+// Generate a random UUID (crypto.randomUUID is missing outside secure contexts)
+function generateUid() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+// Fields that identify a record and where it came from
+const recordIdentityFields = ['uid', 'createdAt', 'updatedAt', 'deviceId'];
+
+// Fields naming the operators who created and last changed a record
+const recordOperatorFields = ['createdBy', 'updatedBy'];
+
+// Give a record its global identity if it has none: a uid, creation and
+// update times, and the id of the device that created it. Returns the record.
+function assignRecordIdentity(record, originDeviceId = deviceId) {
+  record.uid = record.uid || generateUid();
+  record.createdAt = record.createdAt ? new Date(record.createdAt) : new Date();
+  record.updatedAt = record.updatedAt ? new Date(record.updatedAt) : record.createdAt;
+  record.deviceId = record.deviceId || originDeviceId;
+  return record;
+}
+
+// Load this device's id and the sync configuration
+async function loadSyncSettings() {
+  const savedDeviceId = await db.settings.get('deviceId');
+  if (savedDeviceId) {
+    deviceId = savedDeviceId.value;
+  } else {
+    deviceId = generateUid();
+    await db.settings.put({ id: 'deviceId', value: deviceId });
+  }
+
+  const savedConfig = await db.settings.get('syncConfig');
+  syncConfig = savedConfig ? savedConfig.value : {};
+
+  const savedState = await db.settings.get('syncState');
+  syncState = savedState ? savedState.value : { cursor: 0, lastSyncAt: null };
+}
+
+// Record a local write of the given fields: bumps the record's version vector
+// and stamps each field with it. Returns the record for chaining.
+function stampRecord(record, fields) {
+  const previous = record._sync || { vector: {}, fields: {} };
+  const vector = { ...previous.vector, [deviceId]: (previous.vector[deviceId] || 0) + 1 };
+  const versions = { ...previous.fields };
+  const updatedAt = Date.now();
+  fields.forEach(field => {
+    versions[field] = { vector, updatedAt, deviceId };
+  });
+
+  record._sync = { vector, fields: versions };
+  return record;
+}
+
+// Convert a local record to its wire format
+function toSyncState(table, record) {
+  const data = {};
+  syncedFields[table].forEach(field => {
+    if (record[field] !== undefined) data[field] = record[field];
+  });
+  if (record._deleted) data._deleted = true;
+
+  const sync = record._sync || { vector: {}, fields: {} };
+  return { table, uid: record.uid, data, versions: sync.fields, vector: sync.vector };
+}
+
+// Add a record's current state to the outbox. Call inside a transaction that
+// includes db.outbox so the change and the queue entry are saved together.
+async function queueChange(table, record) {
+  await db.outbox.add({
+    table,
+    uid: record.uid,
+    state: toSyncState(table, record),
+    createdAt: new Date()
+  });
+}
+
+// Queue every record, stamping versions on records that were never synced.
+// Used when sync is first set up and after a restore.
+async function queueAllRecords() {
+  await db.transaction('rw', [db.households, db.children, db.vaccinations, db.tracing, db.outbox], async () => {
+    for (const table of ['households', 'children', 'vaccinations', 'tracing']) {
+      const records = await db[table].toArray();
+      for (const record of records) {
+        if (!record._sync) {
+          stampRecord(record, syncedFields[table]);
+          await db[table].update(record.id, { _sync: record._sync });
+        }
+        await queueChange(table, record);
+      }
+    }
+  });
+}
+
+// Give a restored record a new version of every field, so the next sync keeps
+// the restored values. Otherwise values changed on the server since the backup,
+// and deletions made since, would win the per-field merge and quietly undo the
+// restore. The version follows everything this device knew of the record, and
+// this device's count jumps to the current time, above any count it has used,
+// so it also follows writes from this device that were pushed and then lost.
+// Writes from other devices that this device never saw are concurrent: the
+// version is dated when the backup was taken (backupTime), so those made after
+// the backup win the merge and are kept. The deletion marker is written too, so
+// a child deleted after the backup is brought back on the server as well.
+function stampRestoredRecord(record, fields, previousVector = {}, backupTime = 0) {
+  const vector = SyncProtocol.mergeVectors(record._sync ? record._sync.vector : {}, previousVector);
+  vector[deviceId] = Math.max(Date.now(), (vector[deviceId] || 0) + 1);
+  const updatedAt = backupTime;
+  const versions = {};
+  [...fields, '_deleted'].forEach(field => {
+    versions[field] = { vector, updatedAt, deviceId };
+  });
+
+  record._sync = { vector, fields: versions };
+  return record;
+}
+
+// Start the next sync from the beginning of the server's change log
+async function resetSyncCursor() {
+  syncState = { ...syncState, cursor: 0 };
+  await db.settings.put({ id: 'syncState', value: syncState });
+}
+
+// HTTP transport for the protocol served by sync-server.js
+function createHttpSyncTransport(config) {
+  const baseUrl = config.endpoint.replace(/\/+$/, '');
+
+  async function request(path, options = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.token) headers.Authorization = `Bearer ${config.token}`;
+
+    const response = await fetch(`${baseUrl}${path}`, { ...options, headers });
+    if (!response.ok) {
+      throw new Error(`Sync server responded with ${response.status}`);
+    }
+    return response.json();
+  }
+
+  return {
+    push: payload => request('/sync/push', { method: 'POST', body: JSON.stringify(payload) }),
+    pull: cursor => request(`/sync/pull?facilityId=${encodeURIComponent(config.facilityId)}&since=${cursor}`),
+    districtSummary: () => request(`/district/summary?district=${encodeURIComponent(config.district || '')}`)
+  };
+}
+
+function isSyncConfigured() {
+  return Boolean(syncConfig.endpoint && syncConfig.facilityId);
+}
+
+function getSyncTransport() {
+  const factory = syncTransports[syncConfig.transport || 'http'];
+  if (!factory) throw new Error(`Unknown sync transport: ${syncConfig.transport}`);
+  return factory(syncConfig);
+}
+
+// Send queued changes, newest state per record, children before their vaccinations
+async function pushOutbox(transport) {
+  const entries = await db.outbox.orderBy('seq').toArray();
+  if (entries.length === 0) return 0;
+
+  const latest = new Map();
+  entries.forEach(entry => latest.set(`${entry.table}|${entry.uid}`, entry.state));
+  const changes = Array.from(latest.values())
+    .sort((a, b) => (a.table === 'children' ? 0 : 1) - (b.table === 'children' ? 0 : 1));
+
+  await transport.push({
+    protocolVersion: SyncProtocol.PROTOCOL_VERSION,
+    facility: { id: syncConfig.facilityId, name: facilityName, district: syncConfig.district || '' },
+    deviceId,
+    changes
+  });
+
+  // Only remove what was sent; changes queued meanwhile wait for the next sync
+  await db.outbox.where('seq').belowOrEqual(entries[entries.length - 1].seq).delete();
+  return changes.length;
+}
+
+// Fetch all changes since the last cursor and merge them into the local register
+async function pullChanges(transport) {
+  let cursor = syncState.cursor || 0;
+  const changes = [];
+  let page;
+  do {
+    page = await transport.pull(cursor);
+    changes.push(...page.changes);
+    cursor = page.cursor;
+  } while (page.hasMore);
+
+  // Children first so vaccinations can find the child they belong to
+  changes.sort((a, b) => (a.table === 'children' ? 0 : 1) - (b.table === 'children' ? 0 : 1));
+
+  let applied = 0;
+  await db.transaction('rw', [db.households, db.children, db.vaccinations, db.tracing, db.auditLog], async () => {
+    for (const change of changes) {
+      if (await applyRemoteChange(change)) applied++;
+    }
+  });
+
+  syncState = { ...syncState, cursor };
+  await db.settings.put({ id: 'syncState', value: syncState });
+  return applied;
+}
+
+// Merge one remote record into the local database. Returns true if anything changed.
+async function applyRemoteChange(change) {
+  if (!syncedFields[change.table]) return false;
+  // Records from the server are shown as HTML; refuse any that carry markup
+  if (containsMarkup(change.data)) {
+    console.error(`Refused synced ${change.table} record ${change.uid}: its text contains markup`);
+    return false;
+  }
+
+  const table = db[change.table];
+  const local = await table.where('uid').equals(change.uid).first();
+  const { state, changed } = SyncProtocol.mergeRecord(local ? toSyncState(change.table, local) : null, change);
+  if (!changed) return false;
+
+  if (state.data._deleted) {
+    if (!local) return false;
+    if (change.table === 'children') {
+      const doses = await db.vaccinations.where('childId').equals(local.id).toArray();
+      await appendAudit(doses.map(dose => createAuditEntry('vaccinations', 'delete', dose, null, 'sync')));
+      await db.vaccinations.where('childId').equals(local.id).delete();
+    }
+    await table.delete(local.id);
+    await auditChange(change.table, 'delete', local, null, 'sync');
+    return true;
+  }
+
+  const record = {
+    ...(local || (change.table === 'children' ? { isDefaulter: false } : {})),
+    ...state.data,
+    uid: change.uid,
+    _sync: { vector: state.vector, fields: state.versions }
+  };
+
+  // Dates travel as strings
+  assignRecordIdentity(record);
+
+  if (change.table === 'vaccinations') {
+    const child = await db.children.where('uid').equals(record.childUid).first();
+    if (!child) return false;
+    record.childId = child.id;
+  }
+
+  await table.put(record);
+  await auditChange(change.table, local ? 'update' : 'create', local, record, 'sync');
+  return true;
+}
+
+// Push local changes and pull remote ones. Quiet unless started by the user.
+async function syncNow(manual = false) {
+  if (!isSyncConfigured()) {
+    if (manual) showNotification('Please set up the sync server first.', 'error');
+    return;
+  }
+  if (!navigator.onLine) {
+    if (manual) showNotification('You are offline. Changes will be sent when the connection returns.', 'info');
+    return;
+  }
+  if (syncInProgress) return;
+  // Settings are loaded before the lock screen; nothing is synced until someone signs in
+  if (!currentOperator) return;
+
+  syncInProgress = true;
+  updateSyncStatus('Syncing...');
+
+  try {
+    const transport = getSyncTransport();
+    const sent = await pushOutbox(transport);
+    const received = await pullChanges(transport);
+
+    syncState = { ...syncState, lastSyncAt: new Date().toISOString() };
+    await db.settings.put({ id: 'syncState', value: syncState });
+
+    if (received > 0) {
+      await loadChildren();
+      refreshChildViews();
+    }
+
+    if (manual) showNotification(`Sync complete: ${sent} sent, ${received} received.`, 'success');
+  } catch (error) {
+    console.error('Error syncing:', error);
+    if (manual) showNotification('Sync failed. Your changes are kept and will be sent next time.', 'error');
+  } finally {
+    syncInProgress = false;
+    updateSyncStatus();
+  }
+}
+
+// Sync shortly after a local change, batching changes made close together
+function scheduleSync() {
+  if (!isSyncConfigured() || syncConfig.autoSync === false) return;
+  clearTimeout(syncTimer);
+  syncTimer = setTimeout(() => syncNow(), 5000);
+}
+
+// Show last sync time and the number of changes waiting to be sent
+async function updateSyncStatus(message) {
+  const status = document.getElementById('syncStatus');
+  if (!status) return;
+
+  if (message) {
+    status.textContent = `🔄 ${message}`;
+    return;
+  }
+  if (!isSyncConfigured()) {
+    status.textContent = '🔄 Sync is not set up. This device keeps its data locally.';
+    return;
+  }
+
+  const pending = await db.outbox.count();
+  const lastSync = syncState.lastSyncAt
+    ? `${formatDate(syncState.lastSyncAt)} ${new Date(syncState.lastSyncAt).toLocaleTimeString()}`
+    : 'never';
+  status.textContent = `🔄 Last synced: ${lastSync} · ${pending} change(s) waiting`;
+}
+
+// Open Sync Settings Modal
+async function openSyncModal() {
+  if (!requirePermission('manageSettings')) return;
+  document.getElementById('syncEndpoint').value = syncConfig.endpoint || '';
+  document.getElementById('syncFacilityId').value = syncConfig.facilityId || '';
+  document.getElementById('syncDistrict').value = syncConfig.district || '';
+  document.getElementById('syncToken').value = syncConfig.token || '';
+  document.getElementById('syncAuto').checked = syncConfig.autoSync !== false;
+  document.getElementById('syncDeviceId').textContent = deviceId;
+  document.querySelector('#districtSummaryTable tbody').innerHTML = '';
+  document.getElementById('syncModal').style.display = 'flex';
+  await renderCardKeys();
+}
+
+// Close Sync Settings Modal
+function closeSyncModal() {
+  document.getElementById('syncModal').style.display = 'none';
+}
+
+// Save Sync Settings
+async function saveSyncSettings() {
+  if (!requirePermission('manageSettings')) return;
+  const endpoint = document.getElementById('syncEndpoint').value.trim();
+  const facilityId = document.getElementById('syncFacilityId').value.trim();
+
+  if (endpoint && !/^https?:\/\//i.test(endpoint)) {
+    showNotification('The sync server address must start with http:// or https://.', 'error');
+    return;
+  }
+  if (endpoint && !facilityId) {
+    showNotification('Please enter the facility code used on the sync server.', 'error');
+    return;
+  }
+
+  const newConfig = {
+    ...syncConfig,
+    endpoint,
+    facilityId,
+    district: document.getElementById('syncDistrict').value.trim(),
+    token: document.getElementById('syncToken').value.trim(),
+    autoSync: document.getElementById('syncAuto').checked
+  };
+  const serverChanged = newConfig.endpoint !== syncConfig.endpoint || newConfig.facilityId !== syncConfig.facilityId;
+
+  try {
+    await db.settings.put({ id: 'syncConfig', value: newConfig });
+    syncConfig = newConfig;
+
+    // A new server or facility starts from scratch: send everything, fetch everything
+    if (serverChanged && isSyncConfigured()) {
+      await db.outbox.clear();
+      await resetSyncCursor();
+      await queueAllRecords();
+    }
+
+    closeSyncModal();
+    updateSyncStatus();
+    showNotification('Sync settings saved successfully!', 'success');
+    syncNow(true);
+  } catch (error) {
+    console.error('Error saving sync settings:', error);
+    showNotification('Error saving sync settings. Please try again.', 'error');
+  }
+}
+
+// Show the district's per-facility totals from the sync server
+async function showDistrictSummary() {
+  const tbody = document.querySelector('#districtSummaryTable tbody');
+
+  if (!isSyncConfigured()) {
+    showNotification('Please set up the sync server first.', 'error');
+    return;
+  }
+
+  try {
+    const { facilities } = await getSyncTransport().districtSummary();
+    // The server's text is set as text, never as markup
+    tbody.innerHTML = '';
+    facilities.forEach(facility => {
+      const row = document.createElement('tr');
+      [facility.name, facility.id, facility.children, facility.doses, facility.lastSeen ? formatDate(facility.lastSeen) : 'N/A'].forEach(value => {
+        const cell = document.createElement('td');
+        cell.textContent = value === undefined || value === null ? '' : String(value);
+        row.appendChild(cell);
+      });
+      tbody.appendChild(row);
+    });
+
+    if (facilities.length === 0) {
+      tbody.innerHTML = '<tr><td colspan="5" style="text-align: center;">No facilities have synced yet</td></tr>';
+    }
+  } catch (error) {
+    console.error('Error loading district summary:', error);
+    showNotification('Could not load the district summary. Check the connection and try again.', 'error');
+  }
+}
+
 // Initialize the app when the page loads
 document.addEventListener('DOMContentLoaded', initApp);
\ No newline at end of file
@@ -1,11 +1,14 @@
-const CACHE_NAME = 'immunization-tracker-v3';
+const CACHE_NAME = 'immunization-tracker-v7';
 const urlsToCache = [
   './',
   './index.html',
   './style.css',
-  './app.js',
+  './App.js',
+  './sync-protocol.js',
   './manifest.json',
-  'https://unpkg.com/dexie@3.2.1/dist/dexie.js'
+  'https://unpkg.com/dexie@3.2.1/dist/dexie.js',
+  'https://unpkg.com/qrcode-generator@1.4.4/qrcode.js',
+  'https://unpkg.com/jsqr@1.4.0/dist/jsQR.js'
 ];
 
 // Install event
@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+// Local SMS gateway stand-in for the Immunization Tracker.
+//
+// Accepts reminder messages the way an SMS gateway would, but sends nothing:
+// each message is printed and kept in a JSON file, so reminders can be tried
+// out without an SMS provider. It has no dependencies.
+//
+//   node sms-server.js
+//
+// Environment:
+//   PORT           - port to listen on (default 8788)
+//   SMS_DATA_FILE  - where messages are stored (default ./sms-messages.json)
+//   SMS_TOKEN      - if set, requests must send "Authorization: Bearer <token>"
+//   SMS_FAIL_TO    - comma separated numbers to reject, to test failed sends
+//
+// Endpoints:
+//   POST /sms/send       { to, message, sender } -> { id, status }
+//   GET  /sms/messages                           -> { messages }
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.env.PORT) || 8788;
+const DATA_FILE = process.env.SMS_DATA_FILE || path.join(__dirname, 'sms-messages.json');
+const TOKEN = process.env.SMS_TOKEN || '';
+const FAIL_TO = (process.env.SMS_FAIL_TO || '').split(',').map(number => number.trim()).filter(Boolean);
+const MAX_BODY_BYTES = 64 * 1024;
+const MAX_MESSAGE_LENGTH = 918; // six concatenated SMS parts
+
+// Load stored messages, or start empty
+function loadMessages() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Could not read messages, starting empty:', error.message);
+    return [];
+  }
+}
+
+const messages = loadMessages();
+
+// Write the messages atomically so a crash never leaves a half-written file
+function saveMessages() {
+  const tmpFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(messages));
+  fs.renameSync(tmpFile, DATA_FILE);
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Accept one message for "delivery"
+function handleSend(body) {
+  const to = String(body.to || '').trim();
+  const message = String(body.message || '');
+  if (!/^\+?[\d\s-]{7,20}$/.test(to)) throw Object.assign(new Error('to must be a phone number'), { status: 400 });
+  if (!message.trim()) throw Object.assign(new Error('message is required'), { status: 400 });
+  if (message.length > MAX_MESSAGE_LENGTH) throw Object.assign(new Error('message is too long'), { status: 400 });
+  if (FAIL_TO.includes(to)) throw Object.assign(new Error('Number rejected by the gateway'), { status: 502 });
+
+  const record = {
+    id: crypto.randomUUID(),
+    to,
+    sender: String(body.sender || ''),
+    message,
+    receivedAt: new Date().toISOString()
+  };
+  messages.push(record);
+  saveMessages();
+  console.log(`SMS to ${to}${record.sender ? ` from ${record.sender}` : ''}: ${message}`);
+  return { id: record.id, status: 'accepted' };
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (req.method === 'POST' && url.pathname === '/sms/send') {
+      sendJson(res, 200, handleSend(await readBody(req)));
+    } else if (req.method === 'GET' && url.pathname === '/sms/messages') {
+      sendJson(res, 200, { messages });
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  } catch (error) {
+    if (!error.status) console.error('SMS server error:', error);
+    sendJson(res, error.status || 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`SMS gateway stand-in listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});
@@ -0,0 +1,94 @@
+// Sync protocol shared by the app (as the SyncProtocol global) and by the
+// reference sync server (as a CommonJS module).
+//
+// A record travels as { table, uid, data, versions, vector }:
+//   data     - the synced fields of the record (plus _deleted for deletions)
+//   versions - per field: { vector, updatedAt, deviceId } of its last write
+//   vector   - version vector of the whole record: { deviceId: counter }
+// Conflicts are resolved per field. A write that causally follows another wins;
+// concurrent writes fall back to last-writer-wins on updatedAt, then deviceId.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.SyncProtocol = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  const PROTOCOL_VERSION = 1;
+
+  // Compare two version vectors: 'equal', 'before', 'after' or 'concurrent'
+  function compareVectors(a = {}, b = {}) {
+    let aAhead = false;
+    let bAhead = false;
+    const devices = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+    devices.forEach(device => {
+      const countA = a[device] || 0;
+      const countB = b[device] || 0;
+      if (countA > countB) aAhead = true;
+      if (countB > countA) bAhead = true;
+    });
+
+    if (aAhead && bAhead) return 'concurrent';
+    if (aAhead) return 'after';
+    if (bAhead) return 'before';
+    return 'equal';
+  }
+
+  // Element-wise maximum of two version vectors
+  function mergeVectors(a = {}, b = {}) {
+    const merged = { ...a };
+    Object.keys(b).forEach(device => {
+      merged[device] = Math.max(merged[device] || 0, b[device]);
+    });
+    return merged;
+  }
+
+  // Decide whether a remote field version replaces the local one
+  function remoteWins(local, remote) {
+    if (!local) return true;
+    if (!remote) return false;
+
+    const order = compareVectors(remote.vector, local.vector);
+    if (order === 'after') return true;
+    if (order !== 'concurrent') return false;
+
+    // Concurrent writes: last writer wins, device id breaks exact ties
+    if (remote.updatedAt !== local.updatedAt) return remote.updatedAt > local.updatedAt;
+    return String(remote.deviceId) > String(local.deviceId);
+  }
+
+  // Merge a remote record state into a local one (either may be null).
+  // Returns the merged state and whether any local field changed.
+  function mergeRecord(local, remote) {
+    if (!local) {
+      return { state: remote, changed: true };
+    }
+
+    const data = { ...local.data };
+    const versions = { ...local.versions };
+    let changed = false;
+
+    Object.keys(remote.versions || {}).forEach(field => {
+      if (remoteWins(versions[field], remote.versions[field])) {
+        data[field] = remote.data[field];
+        versions[field] = remote.versions[field];
+        changed = true;
+      }
+    });
+
+    const vector = mergeVectors(local.vector, remote.vector);
+    return {
+      state: { table: local.table, uid: local.uid, data, versions, vector },
+      changed
+    };
+  }
+
+  return {
+    PROTOCOL_VERSION,
+    compareVectors,
+    mergeVectors,
+    remoteWins,
+    mergeRecord
+  };
+});
@@ -0,0 +1,239 @@
+#!/usr/bin/env node
+// Reference sync server for the Immunization Tracker.
+//
+// A small stand-in for the district sync service, for testing synchronisation
+// locally. It has no dependencies and keeps everything in one JSON file.
+//
+//   node sync-server.js
+//
+// Environment:
+//   PORT            - port to listen on (default 8787)
+//   SYNC_DATA_FILE  - where records are stored (default ./sync-data.json)
+//   SYNC_TOKEN      - if set, requests must send "Authorization: Bearer <token>"
+//
+// Endpoints:
+//   POST /sync/push          { facility, deviceId, changes } -> { accepted, cursor }
+//   GET  /sync/pull          ?facilityId=&since=&limit=       -> { changes, cursor, hasMore }
+//   GET  /district/summary   ?district=                        -> { facilities }
+//   GET  /district/register  ?district=                        -> { facilities, households, children, vaccinations, tracing }
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { PROTOCOL_VERSION, mergeRecord } = require('./sync-protocol');
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.join(__dirname, 'sync-data.json');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const SYNCED_TABLES = ['households', 'children', 'vaccinations', 'tracing'];
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+// Load stored data, or start empty
+function loadStore() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error('Could not read sync data, starting empty:', error.message);
+    return { seq: 0, facilities: {}, records: {} };
+  }
+}
+
+const store = loadStore();
+
+// Write the store atomically so a crash never leaves a half-written file
+function saveStore() {
+  const tmpFile = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(tmpFile, JSON.stringify(store));
+  fs.renameSync(tmpFile, DATA_FILE);
+}
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...CORS_HEADERS });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(Object.assign(new Error('Invalid JSON body'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function recordKey(facilityId, table, uid) {
+  return `${facilityId}|${table}|${uid}`;
+}
+
+// Merge pushed changes into the store, giving each changed record a new sequence number
+function handlePush(body) {
+  const facility = body.facility || {};
+  if (!facility.id) throw Object.assign(new Error('facility.id is required'), { status: 400 });
+  if (!Array.isArray(body.changes)) throw Object.assign(new Error('changes must be an array'), { status: 400 });
+
+  store.facilities[facility.id] = {
+    id: facility.id,
+    name: facility.name || facility.id,
+    district: facility.district || '',
+    lastSeen: new Date().toISOString()
+  };
+
+  let accepted = 0;
+  body.changes.forEach(change => {
+    if (!SYNCED_TABLES.includes(change.table) || !change.uid || !change.data || !change.versions) return;
+
+    const key = recordKey(facility.id, change.table, change.uid);
+    const existing = store.records[key];
+    const { state, changed } = mergeRecord(existing ? existing.state : null, {
+      table: change.table,
+      uid: change.uid,
+      data: change.data,
+      versions: change.versions,
+      vector: change.vector || {}
+    });
+
+    if (changed) {
+      store.seq += 1;
+      store.records[key] = { facilityId: facility.id, seq: store.seq, state };
+    }
+    accepted += 1;
+  });
+
+  saveStore();
+  return { protocolVersion: PROTOCOL_VERSION, accepted, cursor: store.seq };
+}
+
+// Records of one facility changed after the given cursor, in sequence order
+function handlePull(query) {
+  const facilityId = query.get('facilityId');
+  if (!facilityId) throw Object.assign(new Error('facilityId is required'), { status: 400 });
+
+  const since = Number(query.get('since')) || 0;
+  const limit = Math.min(Number(query.get('limit')) || 500, 5000);
+
+  const pending = Object.values(store.records)
+    .filter(record => record.facilityId === facilityId && record.seq > since)
+    .sort((a, b) => a.seq - b.seq);
+  const page = pending.slice(0, limit);
+
+  return {
+    protocolVersion: PROTOCOL_VERSION,
+    changes: page.map(record => ({ ...record.state, seq: record.seq })),
+    cursor: page.length ? page[page.length - 1].seq : since,
+    hasMore: pending.length > limit
+  };
+}
+
+function facilitiesInDistrict(district) {
+  return Object.values(store.facilities)
+    .filter(facility => !district || facility.district === district);
+}
+
+function liveRecords(facilityId, table) {
+  return Object.values(store.records)
+    .filter(record => record.facilityId === facilityId && record.state.table === table && !record.state.data._deleted)
+    .map(record => record.state);
+}
+
+// Per-facility totals for the district office
+function handleDistrictSummary(query) {
+  const facilities = facilitiesInDistrict(query.get('district')).map(facility => {
+    const doses = liveRecords(facility.id, 'vaccinations').filter(v => v.data.dateGiven);
+    const dosesByVaccine = {};
+    doses.forEach(dose => {
+      dosesByVaccine[dose.data.vaccine] = (dosesByVaccine[dose.data.vaccine] || 0) + 1;
+    });
+
+    return {
+      ...facility,
+      children: liveRecords(facility.id, 'children').length,
+      doses: doses.length,
+      dosesByVaccine
+    };
+  });
+
+  return { facilities };
+}
+
+// Combined register of every facility in the district
+function handleDistrictRegister(query) {
+  const facilities = facilitiesInDistrict(query.get('district'));
+  const households = [];
+  const children = [];
+  const vaccinations = [];
+  const tracing = [];
+
+  facilities.forEach(facility => {
+    liveRecords(facility.id, 'households').forEach(record => {
+      households.push({ uid: record.uid, facilityId: facility.id, ...record.data });
+    });
+    liveRecords(facility.id, 'children').forEach(record => {
+      children.push({ uid: record.uid, facilityId: facility.id, ...record.data });
+    });
+    liveRecords(facility.id, 'vaccinations').forEach(record => {
+      vaccinations.push({ uid: record.uid, facilityId: facility.id, ...record.data });
+    });
+    liveRecords(facility.id, 'tracing').forEach(record => {
+      tracing.push({ uid: record.uid, facilityId: facility.id, ...record.data });
+    });
+  });
+
+  return { facilities, households, children, vaccinations, tracing };
+}
+
+const server = http.createServer(async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
+    return;
+  }
+
+  if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+    sendJson(res, 401, { error: 'Unauthorized' });
+    return;
+  }
+
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+  try {
+    if (req.method === 'POST' && url.pathname === '/sync/push') {
+      sendJson(res, 200, handlePush(await readBody(req)));
+    } else if (req.method === 'GET' && url.pathname === '/sync/pull') {
+      sendJson(res, 200, handlePull(url.searchParams));
+    } else if (req.method === 'GET' && url.pathname === '/district/summary') {
+      sendJson(res, 200, handleDistrictSummary(url.searchParams));
+    } else if (req.method === 'GET' && url.pathname === '/district/register') {
+      sendJson(res, 200, handleDistrictRegister(url.searchParams));
+    } else {
+      sendJson(res, 404, { error: 'Not found' });
+    }
+  } catch (error) {
+    if (!error.status) console.error('Sync server error:', error);
+    sendJson(res, error.status || 500, { error: error.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Sync server listening on http://localhost:${PORT} (data: ${DATA_FILE})`);
+});